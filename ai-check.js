@@ -0,0 +1,37 @@
+/* ai-check.js - headless sanity run for ai.js
+   Run from the repo root: node ai-check.js (exits non-zero on a failed check)
+   - Patch and Rust are left-side only: every entry comes through doorL
+     and none of their moves touch a right-side node
+   - a closed door turns them back to their retreat room instead of letting them in
+*/
+const assert = require('assert');
+const { ROOM_GRAPH, AI_RULES, sideOfNode, simulateNight } = require('./ai.js');
+
+const LEFT_ONLY = ['patch', 'rust'];
+const SEED = 1234;
+const NIGHT_MS = 10 * 60 * 1000;
+
+// doors open and nothing watched, so everyone gets to the office
+const open = simulateNight({ seed:SEED, durationMs:NIGHT_MS }).events.filter(e=> LEFT_ONLY.includes(e.name));
+const enters = open.filter(e=> e.type === 'enter');
+LEFT_ONLY.forEach(name=> assert.ok(enters.some(e=> e.name === name), name + ' never reached the office'));
+enters.forEach(e=> assert.strictEqual(e.from, 'doorL', e.name + ' entered from ' + e.from + ' at ' + e.t + 'ms'));
+open.forEach(e=>{
+  [e.from, e.to].forEach(node=>{
+    assert.notStrictEqual(sideOfNode(ROOM_GRAPH, node), 'right', e.name + ' ' + e.type + ' touched ' + node + ' at ' + e.t + 'ms');
+  });
+});
+
+// left door shut all night: every attempt at doorL ends in a retreat
+const shut = simulateNight({ seed:SEED, durationMs:NIGHT_MS, doorClosed:(side)=> side === 'left' }).events.filter(e=> LEFT_ONLY.includes(e.name));
+assert.ok(!shut.some(e=> e.type === 'enter'), 'got in through a closed left door');
+LEFT_ONLY.forEach(name=>{
+  const retreats = shut.filter(e=> e.name === name && e.type === 'retreat');
+  assert.ok(retreats.length, name + ' never retreated from the closed door');
+  retreats.forEach(e=>{
+    assert.strictEqual(e.from, 'doorL', name + ' retreated from ' + e.from);
+    assert.strictEqual(e.to, AI_RULES[name].retreat, name + ' retreated to ' + e.to);
+  });
+});
+
+console.log('ok - ' + enters.length + ' entries via doorL, ' + shut.filter(e=> e.type === 'retreat').length + ' retreats from a closed door');
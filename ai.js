@@ -0,0 +1,207 @@
+/* ai.js - Hollow Creek animatronic AI
+   - Room graph (cams 1-6, hallways, doors) and per-animatronic movement rules as data
+   - No DOM access: runs in the page or headless under node with a seeded RNG
+   - game.js owns timing, sounds and jumpscares; stepAI() only reports events
+   - Headless check: node ai-check.js (see that file for what it asserts)
+*/
+
+/* ---------- seeded rng (mulberry32) ---------- */
+function createRng(seed){
+  let a = seed >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ---------- room graph ---------- */
+// cam: monitor id the room shows on (null = blind spot); side: which office door it leads to
+const ROOM_GRAPH = {
+  cam1:  { cam:1, links:['cam2','cam3','cam4'] },
+  cam2:  { cam:2, side:'left',  links:['cam1','hallL'] },
+  cam3:  { cam:3, side:'right', links:['cam1','cam5','hallR'] },
+  cam4:  { cam:4, side:'left',  links:['cam1','cam6','hallL'] },
+  cam5:  { cam:5, side:'right', links:['cam3','hallR'] },
+  cam6:  { cam:6, side:'left',  links:['cam4','hallL'] },
+  hallL: { cam:null, side:'left',  links:['cam2','cam4','cam6','doorL'] },
+  hallR: { cam:null, side:'right', links:['cam3','cam5','doorR'] },
+  doorL: { cam:null, side:'left',  door:'left',  links:['hallL'] },
+  doorR: { cam:null, side:'right', door:'right', links:['hallR'] }
+};
+
+/* ---------- movement rules ---------- */
+// rooms: nodes the animatronic may stand in; door: node it attacks from
+// approach: chance a move steps closer to the door (otherwise a random allowed neighbour)
+// opportunityMs: how often it rolls to move; the roll succeeds when d20 <= its AI level (0-20)
+// behavior: 'roam' | 'rush' (faster once in the hallway) | 'stalker' (only moves while unwatched)
+// lure: chance a move heads for an active audio lure instead (absent = ignores lures)
+// disrupt: { chance, ms:[min,max] } knocks out the cam of a room it walks into (applied by game.js)
+const AI_RULES = {
+  vale:  { start:'cam1', rooms:['cam1','cam3','cam5','hallR','doorR'], door:'doorR', retreat:'cam1', approach:0.6, opportunityMs:5000, behavior:'roam', lure:0.8 },
+  patch: { start:'cam1', rooms:['cam1','cam2','cam4','cam6','hallL','doorL'], door:'doorL', retreat:'cam2', approach:0.55, opportunityMs:5500, behavior:'roam', lure:0.8,
+           disrupt:{ chance:0.35, ms:[6000, 12000] } },
+  lulla: { start:'cam1', rooms:['cam1','cam3','cam4','cam5','hallR','doorR'], door:'doorR', retreat:'cam5', approach:0.5, opportunityMs:6000, behavior:'rush', rushFactor:0.45, lure:0.6,
+           disrupt:{ chance:0.2, ms:[5000, 9000] } },
+  rust:  { start:'cam6', rooms:['cam6','hallL','doorL'], door:'doorL', retreat:'cam6', approach:1, opportunityMs:4000, behavior:'stalker', unseenMs:15000 }
+};
+const MAX_AI_LEVEL = 20;
+
+/* ---------- graph helpers ---------- */
+function camOfNode(graph, node){ return graph[node] ? graph[node].cam : null; }
+function sideOfNode(graph, node){ return graph[node] ? (graph[node].side || null) : null; }
+
+/* hop count from every allowed room to target, walking only through allowed rooms */
+function distancesTo(graph, rooms, target){
+  const dist = { [target]:0 };
+  const queue = [target];
+  while(queue.length){
+    const n = queue.shift();
+    for(const m of graph[n].links){
+      if(rooms.includes(m) && dist[m] === undefined){ dist[m] = dist[n] + 1; queue.push(m); }
+    }
+  }
+  return dist;
+}
+
+/* ---------- world ---------- */
+// opts: { seed, now, graph, rules, names }
+function createAIWorld(opts){
+  const graph = opts.graph || ROOM_GRAPH;
+  const rules = opts.rules || AI_RULES;
+  const now = opts.now || 0;
+  const world = { graph, rules, rng: createRng(opts.seed || 1), anims:{}, dist:{}, lure:null };
+  (opts.names || Object.keys(rules)).forEach(name=>{
+    const r = rules[name];
+    world.dist[name] = distancesTo(graph, r.rooms, r.door);
+    world.anims[name] = {
+      name, node:r.start, cam:camOfNode(graph, r.start), level:0,
+      lastMove:now, lastSeen:now, lastRoll:now, inOffice:false, active:false, frozen:false
+    };
+  });
+  return world;
+}
+
+function moveTo(world, a, node, now){
+  a.node = node;
+  a.cam = camOfNode(world.graph, node);
+  a.lastMove = now;
+  a.lastSeen = now;
+  a.lastRoll = now;
+}
+
+/* choose the next room: usually one hop closer to the door, sometimes a random allowed neighbour;
+   an active lure in a room it can reach takes priority for those that follow lures */
+function pickNextNode(world, a, now){
+  const r = world.rules[a.name];
+  const dist = world.dist[a.name];
+  const options = world.graph[a.node].links.filter(n=> r.rooms.includes(n));
+  if(!options.length) return a.node;
+  const lure = world.lure;
+  if(r.lure && lure && now < lure.until && lure.node !== a.node && r.rooms.includes(lure.node) && world.rng() < r.lure){
+    const toLure = distancesTo(world.graph, r.rooms, lure.node);
+    const closer = options.filter(n=> toLure[n] !== undefined && toLure[n] < toLure[a.node]);
+    if(closer.length) return closer[Math.floor(world.rng() * closer.length)];
+  }
+  const here = dist[a.node] === undefined ? Infinity : dist[a.node];
+  const closer = options.filter(n=> dist[n] !== undefined && dist[n] < here);
+  if(closer.length && world.rng() < r.approach) return closer[Math.floor(world.rng() * closer.length)];
+  return options[Math.floor(world.rng() * options.length)];
+}
+
+/* set AI levels ({ name: 0-20 }); level 0 switches an animatronic off */
+function setAILevels(world, levels){
+  Object.values(world.anims).forEach(a=>{
+    a.level = Math.max(0, Math.min(MAX_AI_LEVEL, (levels && levels[a.name]) | 0));
+    a.active = a.level > 0;
+  });
+}
+
+/* one move opportunity: roll 1-20 against the level */
+function rollsToMove(world, a){
+  return Math.floor(world.rng() * MAX_AI_LEVEL) + 1 <= a.level;
+}
+
+/* env: {
+     doorClosed(side) -> bool,
+     watchedCams: cam ids currently on screen
+   }
+   returns [{ type:'move'|'retreat'|'enter', name, from, to }] */
+function stepAI(world, now, env){
+  const events = [];
+  Object.values(world.anims).forEach(a=>{
+    if(!a.active || a.inOffice || a.frozen) return;
+    const r = world.rules[a.name];
+    if(a.cam !== null && env.watchedCams.includes(a.cam)) a.lastSeen = now;
+
+    let interval = r.opportunityMs;
+    if(r.behavior === 'rush' && world.graph[a.node].cam === null) interval *= r.rushFactor;
+    if(now - a.lastRoll < interval) return;
+    if(r.behavior === 'stalker' && now - a.lastSeen < r.unseenMs) return;
+    a.lastRoll = now;
+    if(!rollsToMove(world, a)) return;
+    events.push(takeMove(world, a, now, env));
+  });
+  return events;
+}
+
+/* the move itself: at a door it either gets in or is turned back */
+function takeMove(world, a, now, env){
+  const r = world.rules[a.name];
+  const from = a.node;
+  const door = world.graph[a.node].door;
+  if(door){
+    if(env.doorClosed(door)){
+      moveTo(world, a, r.retreat, now);
+      return { type:'retreat', name:a.name, from, to:r.retreat };
+    }
+    a.inOffice = true;
+    a.lastMove = now;
+    return { type:'enter', name:a.name, from, to:'office' };
+  }
+  const to = pickNextNode(world, a, now);
+  moveTo(world, a, to, now);
+  return { type:'move', name:a.name, from, to };
+}
+
+/* play a sound in node's room for ms; lure-following animatronics drift toward it */
+function setLure(world, node, now, ms){
+  world.lure = { node, until: now + ms };
+}
+
+/* debugging: move now, skipping the roll and the timers (even when frozen or level 0) */
+function forceMove(world, name, now, env){
+  const a = world.anims[name];
+  if(!a || a.inOffice) return null;
+  return takeMove(world, a, now, env);
+}
+
+/* ---------- headless runner ---------- */
+// opts: { seed, durationMs, stepMs, names, levels:{ name: 0-20 }, doorClosed(side, t), watchedCams(t) }
+// an animatronic that gets in is sent back to its start so the run keeps going
+function simulateNight(opts){
+  const stepMs = opts.stepMs || 100;
+  const world = createAIWorld({ seed:opts.seed, now:0, graph:opts.graph, rules:opts.rules, names:opts.names });
+  setAILevels(world, opts.levels || Object.keys(world.anims).reduce((o, n)=> (o[n] = 10, o), {}));
+  const log = [];
+  for(let t = 0; t <= opts.durationMs; t += stepMs){
+    const events = stepAI(world, t, {
+      doorClosed: (side)=> opts.doorClosed ? opts.doorClosed(side, t) : false,
+      watchedCams: opts.watchedCams ? opts.watchedCams(t) : []
+    });
+    events.forEach(e=>{
+      log.push(Object.assign({ t }, e));
+      if(e.type === 'enter'){
+        const a = world.anims[e.name];
+        a.inOffice = false;
+        moveTo(world, a, world.rules[e.name].start, t);
+      }
+    });
+  }
+  return { world, events: log };
+}
+
+if(typeof module !== 'undefined' && module.exports){
+  module.exports = { createRng, ROOM_GRAPH, AI_RULES, MAX_AI_LEVEL, camOfNode, sideOfNode, distancesTo, createAIWorld, setAILevels, stepAI, forceMove, setLure, simulateNight };
+}
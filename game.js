@@ -3,39 +3,144 @@
    - Night FSM difficulty table
    - Integrated CRT menu (New Game / Continue)
    - Audio gated by first user gesture
+   - Game state machine (menu / intro / playing / jumpscare / game over / 6 AM)
+   - Versioned localStorage save behind "Continue"
+   - Usage-based power drain with blackout at 0%
+   - Animatronic routes on a room graph (ai.js)
+   - 0-20 AI levels per night + Custom Night with presets
+   - Action-based input: keyboard, gamepad and touch with remappable bindings
+   - Fixed-timestep simulation clock with pause (blur / hidden tab)
+   - Animatronic sprite states (idle / walk / watch), per-cam anchors, feed static
+   - Phone calls per night (assets/phone/calls.json) with mute + subtitles
+   - Web Audio mixer: buses, stereo footsteps, phone ducking, volume settings
+   - Panning office with door + hall-light buttons, animated doors, layout hit regions
+   - Building map with cam buttons, cams knocked out by animatronics, audio lure (not Rust)
+   - Night stats, results card, lifetime stats, achievements with toasts, menu gallery
+   - ?dev=1: debug panel + window.debug console API (skip night / hour, force-move, freeze, power, speed, ?timescale=N)
+   - Seeded nights with replay recording, JSON export / import and fast-forward playback
+   - Cassidy hazard: shadow on a cam (stare = monitor short-out) or in the office (look away or jumpscare)
+   - Asset manifest (assets/manifest.json), parallel preload with progress, ?dev=1 report
+   - Resize-aware canvas: DPR backing store, wide landscape layout, safe areas, fullscreen
+   - Accessibility: photosensitive mode, jumpscare intensity, sound captions, high contrast, announcements
+   - Content packs (pack.js): animatronics, cameras and night tables from a JSON file picked in the menu
 */
 
 /* ---------- core elements ---------- */
 const CANVAS = document.getElementById('gameCanvas');
+const WRAP = document.getElementById('wrap');
 const ctx = CANVAS.getContext('2d');
 ctx.imageSmoothingEnabled = false;
 
-const W = CANVAS.width, H = CANVAS.height;
+// everything draws in logical px: H is fixed, W widens on landscape screens (see resizeCanvas)
+const BASE_SIZE = 1024;
+const MAX_ASPECT = 2;      // wider screens get pillarboxed
+const MAX_DPR = 3;
+let W = BASE_SIZE, H = BASE_SIZE;
+let renderScale = 1;       // backing-store px per logical px
 const UI = {
   night: document.getElementById('nightStat'),
   time: document.getElementById('timeStat'),
   power: document.getElementById('powerStat'),
   loading: document.getElementById('loading'),
+  loadingText: document.getElementById('loadingText'),
+  loadingFill: document.getElementById('loadingFill'),
   menuOverlay: document.getElementById('menuOverlay'),
-  startOverlay: document.getElementById('startOverlay')
+  startOverlay: document.getElementById('startOverlay'),
+  gameOverOverlay: document.getElementById('gameOverOverlay'),
+  gameOverText: document.getElementById('gameOverText'),
+  menuHint: document.getElementById('menuHint'),
+  continueRow: document.querySelector('#menuOverlay .menuRow[data-option="continue"]'),
+  continueText: document.getElementById('continueText'),
+  customRow: document.querySelector('#menuOverlay .menuRow[data-option="custom"]'),
+  customOverlay: document.getElementById('customOverlay'),
+  customLevels: document.getElementById('customLevels'),
+  customPresets: document.getElementById('customPresets'),
+  settingsOverlay: document.getElementById('settingsOverlay'),
+  bindingList: document.getElementById('bindingList'),
+  pauseOverlay: document.getElementById('pauseOverlay'),
+  subtitlesText: document.getElementById('subtitlesText'),
+  subtitlesHeading: document.getElementById('subtitlesHeading'),
+  subtitlesRow: document.getElementById('subtitlesRow'),
+  srAnnounce: document.getElementById('srAnnounce'),
+  volumeList: document.getElementById('volumeList'),
+  replayFile: document.getElementById('replayFile'),
+  packFile: document.getElementById('packFile'),
+  packText: document.getElementById('packText'),
+  resultsOverlay: document.getElementById('resultsOverlay'),
+  resultsTitle: document.getElementById('resultsTitle'),
+  resultsStats: document.getElementById('resultsStats'),
+  galleryOverlay: document.getElementById('galleryOverlay'),
+  galleryStats: document.getElementById('galleryStats'),
+  galleryAchievements: document.getElementById('galleryAchievements'),
+  galleryPortraits: document.getElementById('galleryPortraits'),
+  toasts: document.getElementById('toasts')
 };
 
+/* ---------- game states ---------- */
+const STATE = {
+  MENU: 'menu',           // CRT menu (DOM overlay)
+  LOADING: 'loading',     // waiting on preloadAll()
+  INTRO: 'intro',         // "Night N" card before play
+  PLAYING: 'playing',
+  PAUSED: 'paused',       // pause overlay; simulation clock frozen
+  JUMPSCARE: 'jumpscare', // full-screen sprite, input frozen
+  GAMEOVER: 'gameover',   // Retry / Main Menu overlay
+  COMPLETE: 'complete',   // 6 AM clock flip
+  RESULTS: 'results'      // night results card, then next night
+};
+const INTRO_MS = 3000;
+const JUMPSCARE_MS = 1800;
+const COMPLETE_MS = 5000;
+const HOUR_MS = 90000;     // simulation ms per in-game hour
+const WIN_HOUR = 6;       // 6 AM ends the night
+const MAX_NIGHT = 7;
+// ?dev=1 turns on every debug tool: panel, console API, asset report and ?timescale=
+const DEV_MODE = new URLSearchParams(location.search).get('dev') === '1';
+
+/* ---------- simulation clock ---------- */
+// clock.t only advances in fixed STEP_MS updates, so a backgrounded tab or a slow
+// frame never makes the AI leap forward; scale speeds the whole sim up for debugging
+const STEP_MS = 1000 / 60;
+const MAX_FRAME_MS = 250;
+const MAX_STEPS_PER_FRAME = 240;
+const clock = { t:0, scale:1, acc:0, lastTs:null };
+{
+  const ts = Number(new URLSearchParams(location.search).get('timescale'));
+  if(DEV_MODE && ts > 0) clock.scale = ts;
+  clock.baseScale = clock.scale;   // restored after a fast-forwarded replay
+}
+
 /* ---------- state ---------- */
-let started = false;         // set true after menu New Game
-let audioUnlocked = false;   // user gesture to allow audio
-let inMenu = true;           // start in menu
-let selectedMenu = 0;        // 0 = New Game, 1 = Continue
+let gameState = STATE.MENU;
+let stateSince = 0;          // clock.t when gameState was entered
+let pausedFrom = null;       // { state, since } to restore on resume
+let audioUnlocked = false;   // set by unlockAudio() on the first user gesture
+let assetsReady = false;
+let selectedMenu = 0;        // focused row in the active overlay (see navRows())
+let gameMode = 'story';      // 'story' | 'custom'
+let customLevels = null;     // { vale, patch, lulla, rust, cassidy } for Custom Night
+let playStartedAt = 0;       // clock.t at 12:00 AM
+let jumpscareBy = null;
 let monitorOpen = false;
 let monitorSingle = null;
 let night = 1, hour = 0, power = 100;
 let cassidyActive = false;
-let cassidyGlitch = { next:0, active:false, end:0 };
+let cassidy = { next:0, where:null, until:0, stare:0, glitchUntil:0 };   // where: null | 'office' | cam id
+let camsDownUntil = 0;       // clock.t until the monitor comes back after Cassidy shorts it out
 let doorLeftClosed = false, doorRightClosed = false;
+let lightLeftOn = false, lightRightOn = false;   // hall lights, one side at a time
+let officePan = 0.5;         // 0 = looking at the left door, 1 = the right door
+let panPointer = 0;          // -1 / 0 / 1 while the pointer rests near a screen edge
+const panHeld = { left:false, right:false };   // panLeft / panRight actions held down
+const doorAnim = { left:0, right:0 };          // 0 open .. 1 shut, eased toward the door state
+let powerOut = false;
+let blackout = null;         // { phase, until, attacker, side } while power is out
 
 const assets = { imgs:{}, audios:{} };
 
 /* ---------- camera mapping ---------- */
-const camKeyById = {
+// built-in content below; a content pack swaps camKeyById, animDefs, aiContent and NIGHT_LEVELS (applyContent)
+let camKeyById = {
   1: 'cam1_salon_base',
   2: 'cam2_baby_base',
   3: 'cam3_mini_base',
@@ -48,181 +153,544 @@ const OFFICE_KEY = 'office_base_closed';
 const OFFICE_OPEN_KEY = 'office_open';
 
 /* ---------- anim definitions & runtime objects ---------- */
-const animDefs = {
-  vale:{allowed:[1,3,5], start:1, color:'#d9b300', baseInterval:25000, activeFrom:3},
-  patch:{allowed:[1,2,4], start:1, color:'#6fb0ff', baseInterval:28000, activeFrom:2},
-  lulla:{allowed:[1,3,4,5], start:1, color:'#ff7fa1', baseInterval:32000, activeFrom:1},
-  rust:{allowed:[6], start:6, color:'#9b6e44', baseInterval:42000, activeFrom:5}
+// routes, entry doors and move timing live in ai.js (AI_RULES / ROOM_GRAPH)
+// activeFrom: first story night it shows up (pack animatronics; built-ins follow NIGHT_LEVELS)
+let animDefs = {
+  vale:{color:'#d9b300'},
+  patch:{color:'#6fb0ff'},
+  lulla:{color:'#ff7fa1'},
+  rust:{color:'#9b6e44'}
 };
-const anims = {};
-Object.keys(animDefs).forEach(k=>{
-  anims[k] = {
-    name:k, cam:animDefs[k].start, lastMove:Date.now(), baseInterval:animDefs[k].baseInterval,
-    inOffice:false, active:false, lastSeen:Date.now()
-  };
-});
-
-/* ---------- assets lists ---------- */
-const camKeys = Object.values(camKeyById);
-const extrasToLoad = ['door_left_sprite','door_right_sprite','scanlines','cassidy_static','menu_crt','cursor_double'];
-const animSpriteKeys = [
-  'vale_idle','vale_walk','vale_watch','vale_jumpscare',
-  'patch_idle','patch_walk','patch_watch','patch_jumpscare',
-  'lulla_idle','lulla_walk','lulla_watch','lulla_jumpscare',
-  'rust_idle','rust_walk','rust_watch','rust_jumpscare'
-];
+let aiContent = { graph: ROOM_GRAPH, rules: AI_RULES };
+function newAIWorld(seed){ return createAIWorld({ seed, now:0, graph: aiContent.graph, rules: aiContent.rules, names: Object.keys(animDefs) }); }
+let aiWorld = newAIWorld(newSeed());
+let anims = aiWorld.anims;   // name -> { node, cam, lastMove, lastSeen, inOffice, active }
+function newSeed(){ return Math.floor(Math.random() * 0x7fffffff); }
+// simulation randomness (Cassidy, blackouts) comes from here, seeded per night; cosmetic
+// noise (static, shake) stays on Math.random since it never feeds back into the sim
+let simRng = createRng(1);
+function random(){ return simRng(); }
 
-/* ---------- audio paths ---------- */
-const AUDIO_PATHS = {
-  amb_night_loop: 'audio/amb_night_loop.mp3',
-  crt_static_loop: 'audio/crt_static_loop.mp3',
-  crt_open: 'audio/crt_open.mp3',
-  crt_close: 'audio/crt_close.mp3',
-  door_open: 'audio/door_open.mp3',
-  door_close: 'audio/door_close.mp3',
-  step_heavy: 'audio/step_heavy.mp3',
-  jumpscare_vale: 'audio/jumpscare_vale.mp3',
-  jumpscare_patch: 'audio/jumpscare_patch.mp3',
-  jumpscare_lulla: 'audio/jumpscare_lulla.mp3',
-  jumpscare_rust: 'audio/jumpscare_rust.mp3',
-  cassidy_static_hit: 'audio/cassidy_static_hit.mp3',
-  phone_night1: 'audio/phone_night1.mp3',
-  cam_switch: 'audio/cam_switch.mp3'
-};
+/* ---------- asset manifest ---------- */
+// assets/manifest.json lists every key with its path, type and required flag
+const ASSET_MANIFEST_PATH = 'assets/manifest.json';
+const assetStatus = { manifest:[], missing:[], used:new Set() };
 
-/* ---------- utility loaders (tries jpg then png) ---------- */
-function tryPathsForImage(paths){
+function loadImage(path){
   return new Promise(resolve=>{
-    (function t(i){
-      if(i>=paths.length){ resolve(null); return; }
-      const img = new Image();
-      img.onload = ()=> resolve(img);
-      img.onerror = ()=> t(i+1);
-      img.src = paths[i];
-    })(0);
+    const img = new Image();
+    img.onload = ()=> resolve(img);
+    img.onerror = ()=> resolve(null);
+    img.src = path;
   });
 }
 
-async function loadImageKey(key){
-  const paths = [];
-  if(camKeys.includes(key)){
-    paths.push(`assets/cams/${key}.jpg`, `assets/cams/${key}.png`);
-  } else if(extrasToLoad.includes(key) || key.startsWith('menu') || key.startsWith('cursor')){
-    paths.push(`assets/${key}.png`, `assets/${key}.jpg`);
-  } else if(animSpriteKeys.includes(key)){
-    paths.push(`assets/animatronics/${key}.png`, `assets/animatronics/${key}.jpg`);
-  } else {
-    paths.push(`assets/${key}.png`, `assets/${key}.jpg`);
+/* fetch + decode into an AudioBuffer (null when missing or undecodable) */
+async function loadAudioKey(key, path){
+  const ac = ensureAudioContext();
+  if(!ac) return null;
+  try{
+    const res = await fetch(path);
+    if(!res.ok) throw new Error('HTTP ' + res.status);
+    const data = await res.arrayBuffer();
+    // callback form: older Safari has no promise-returning decodeAudioData
+    return await new Promise((resolve, reject)=> ac.decodeAudioData(data, resolve, reject));
+  }catch(e){
+    console.warn('Missing audio:', key, path, e && e.message);
+    return null;
   }
-  const img = await tryPathsForImage(paths);
-  if(!img) console.warn('Missing image for key:', key, 'tried:', paths);
-  return img;
 }
 
-function loadAudioKey(key, path){
-  return new Promise(resolve=>{
-    const a = new Audio();
-    a.preload='auto';
-    a.src = path;
-    a.oncanplaythrough = ()=> resolve(a);
-    a.onerror = ()=> { console.warn('Missing audio:', key, path); resolve(null); };
+/* ---------- audio mixer (Web Audio) ---------- */
+// source -> gain -> (panner) -> bus volume -> bus duck -> master; one source per play,
+// so overlapping sounds never cut each other off
+const BUSES = ['ambience','sfx','voice','jumpscare'];
+const DEFAULT_VOLUMES = { master:0.9, ambience:1, sfx:1, voice:1, jumpscare:1 };
+const DUCK_LEVEL = 0.3;      // ambience multiplier while the phone is talking
+const DUCK_MS = 400;
+const mixer = { ctx:null, master:null, buses:{}, duck:{}, loops:{} };
+
+function soundBus(key){
+  if(key.startsWith('jumpscare_')) return 'jumpscare';
+  if(key.startsWith('phone_')) return 'voice';
+  if(key.endsWith('_loop')) return 'ambience';
+  return 'sfx';
+}
+
+function ensureAudioContext(){
+  if(mixer.ctx) return mixer.ctx;
+  const AC = window.AudioContext || window.webkitAudioContext;
+  if(!AC){ console.warn('Web Audio unavailable, running silent'); return null; }
+  mixer.ctx = new AC();
+  mixer.master = mixer.ctx.createGain();
+  mixer.master.connect(mixer.ctx.destination);
+  BUSES.forEach(b=>{
+    const gain = mixer.ctx.createGain(), duck = mixer.ctx.createGain();
+    gain.connect(duck); duck.connect(mixer.master);
+    mixer.buses[b] = gain; mixer.duck[b] = duck;
   });
+  applyVolumes();
+  return mixer.ctx;
+}
+
+function volumeSetting(name){
+  const v = saveData.settings.volumes && saveData.settings.volumes[name];
+  return typeof v === 'number' && Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : DEFAULT_VOLUMES[name];
+}
+function setVolume(name, v){
+  saveData.settings.volumes = Object.assign({}, saveData.settings.volumes, { [name]: Math.max(0, Math.min(1, v)) });
+  applyVolumes();
+}
+function applyVolumes(){
+  if(!mixer.ctx) return;
+  mixer.master.gain.value = volumeSetting('master');
+  BUSES.forEach(b=> mixer.buses[b].gain.value = volumeSetting(b));
+}
+
+/* autoplay policy: the context only starts after a user gesture */
+function unlockAudio(){
+  audioUnlocked = true;
+  const ac = ensureAudioContext();
+  if(ac && ac.state === 'suspended' && gameState !== STATE.PAUSED) ac.resume().catch(()=>{});
+}
+
+/* opts: { bus, pan (-1 left .. 1 right), volume, loop } -> { source, startedAt, stop() } or null */
+function playSound(key, opts){
+  opts = opts || {};
+  const buffer = assets.audios[key];
+  const ac = mixer.ctx;
+  if(!buffer || !ac) return null;
+  const source = ac.createBufferSource();
+  source.buffer = buffer;
+  source.loop = !!opts.loop;
+  const gain = ac.createGain();
+  gain.gain.value = opts.volume === undefined ? 1 : opts.volume;
+  source.connect(gain);
+  let out = gain;
+  if(opts.pan && ac.createStereoPanner){
+    const panner = ac.createStereoPanner();
+    panner.pan.value = Math.max(-1, Math.min(1, opts.pan));
+    gain.connect(panner);
+    out = panner;
+  }
+  out.connect(mixer.buses[opts.bus || soundBus(key)]);
+  source.start();
+  return { source, startedAt: ac.currentTime, stop(){ try{ source.stop(); }catch(e){} } };
+}
+
+function startLoop(key, volume){
+  if(mixer.loops[key]) return;
+  const handle = playSound(key, { loop:true, volume });
+  if(handle) mixer.loops[key] = handle;
+}
+
+function duckBus(bus, on){
+  if(!mixer.ctx) return;
+  const g = mixer.duck[bus].gain, t = mixer.ctx.currentTime;
+  g.cancelScheduledValues(t);
+  g.setTargetAtTime(on ? DUCK_LEVEL : 1, t, DUCK_MS / 1000 / 3);
+}
+
+/* footsteps / doors: pan toward the side of the building the sound comes from */
+const SIDE_PAN = { left:-0.8, right:0.8 };
+function nodePan(node){ return SIDE_PAN[sideOfNode(aiWorld.graph, node)] || 0; }
+function nodeVolume(node){ return camOfNode(aiWorld.graph, node) === null ? 1 : 0.55; } // hallway/door = close
+
+/* ---------- preload (parallel, with progress) ---------- */
+async function loadManifest(){
+  try{
+    const res = await fetch(ASSET_MANIFEST_PATH);
+    if(!res.ok) throw new Error('HTTP ' + res.status);
+    return (await res.json()).assets || [];
+  }catch(e){
+    console.error('Asset manifest unreadable, running with placeholders:', e.message);
+    return [];
+  }
+}
+
+function setLoadingProgress(done, total){
+  const pct = total ? Math.round(done / total * 100) : 100;
+  UI.loadingText.innerText = 'Cargando assets... ' + pct + '%';
+  UI.loadingFill.style.width = pct + '%';
 }
 
-/* ---------- preload (graceful) ---------- */
 async function preloadAll(){
+  if(assetsReady) return;
+  assetStatus.manifest = (await loadManifest()).concat(activePack ? activePack.assets : []);
+  // after a pack switch only what it replaced is fetched again
+  const manifest = assetStatus.manifest.filter(entry=> !(entry.key in assets.imgs) && !(entry.key in assets.audios));
+  assetStatus.missing = [];
   UI.loading.style.display = 'block';
-  // cams
-  for(const id in camKeyById){
-    const key = camKeyById[id];
-    const img = await loadImageKey(key);
-    if(img) assets.imgs[key] = img;
-  }
-  // office open
-  const imgOfficeOpen = await loadImageKey(OFFICE_OPEN_KEY);
-  if(imgOfficeOpen) assets.imgs[OFFICE_OPEN_KEY] = imgOfficeOpen;
-  // extras
-  for(const k of extrasToLoad){
-    const img = await loadImageKey(k);
-    if(img) assets.imgs[k] = img;
-  }
-  // anim sprites
-  for(const k of animSpriteKeys){
-    const img = await loadImageKey(k);
-    if(img) assets.imgs[k] = img;
-  }
-  // audios
-  for(const [k,p] of Object.entries(AUDIO_PATHS)){
-    const a = await loadAudioKey(k,p);
-    if(a) assets.audios[k] = a;
-  }
+  let done = 0;
+  setLoadingProgress(0, manifest.length);
+  // keys sharing a path (door_open / door_close) fetch it once
+  const byPath = {};
+  await Promise.all(manifest.map(async entry=>{
+    const load = entry.type === 'audio' ? loadAudioKey : (key, path)=> loadImage(path);
+    byPath[entry.path] = byPath[entry.path] || load(entry.key, entry.path);
+    const asset = await byPath[entry.path];
+    if(asset) (entry.type === 'audio' ? assets.audios : assets.imgs)[entry.key] = asset;
+    else {
+      assetStatus.missing.push(entry);
+      if(entry.required) console.error('Missing required asset:', entry.key, entry.path);
+    }
+    setLoadingProgress(++done, manifest.length);
+  }));
   UI.loading.style.display = 'none';
-  console.log('Assets loaded keys:', Object.keys(assets.imgs));
+  assetsReady = true;
+  if(DEV_MODE) logAssetReport();
+}
+
+/* ---------- asset report (?dev=1) ---------- */
+// missing: in the manifest but failed to load; undeclared: looked up by the game but
+// not in the manifest; unused: never looked up so far (play a night before trusting it)
+function trackAssetLookups(store){
+  return new Proxy(store, { get(t, key){ if(typeof key === 'string') assetStatus.used.add(key); return t[key]; } });
+}
+if(DEV_MODE){ assets.imgs = trackAssetLookups(assets.imgs); assets.audios = trackAssetLookups(assets.audios); }
+
+function assetReport(){
+  const declared = new Set(assetStatus.manifest.map(e=> e.key));
+  return {
+    missing: assetStatus.missing.map(e=> (e.required ? 'REQUIRED ' : '') + e.key + ' -> ' + e.path),
+    undeclared: [...assetStatus.used].filter(k=> !declared.has(k) && k !== 'phone_call'),
+    unused: [...declared].filter(k=> !assetStatus.used.has(k))
+  };
+}
+function logAssetReport(){
+  const r = assetReport();
+  console.log('Asset report (' + assetStatus.manifest.length + ' in manifest) — call assetReport() again after playing for usage');
+  console.log('  missing:', r.missing.length ? r.missing : 'none');
+  console.log('  undeclared:', r.undeclared.length ? r.undeclared : 'none');
+}
+
+/* ---------- persistent save (localStorage) ---------- */
+const SAVE_KEY = 'hollowcreek.save';
+const SAVE_VERSION = 4;
+// SAVE_MIGRATIONS[v] upgrades a save from version v to v+1
+const SAVE_MIGRATIONS = {
+  // v0: unversioned blobs ({ night }) from before the schema existed
+  0: (old)=> ({ version:1, night: old.night, nightsCompleted: Math.max(0, (old.night|0) - 1), highestNight: old.night, extras:{}, settings:{} }),
+  // v1 -> v2: Custom Night levels + per-preset best times
+  1: (old)=> Object.assign({}, old, { version:2, custom:{ levels:null, bests:{} } }),
+  // v2 -> v3: lifetime stats + achievements
+  2: (old)=> Object.assign({}, old, { version:3, stats:defaultStats(), achievements:{} }),
+  // v3 -> v4: explicit story-progress flag (settings alone used to create a blob that unlocked Continue)
+  // v3 never recorded "started", so infer it: any night past 1, any finished night, or any night counted
+  // in stats means a story night really ran. A blob written only by settings keeps every one of those
+  // at its default, so it stays locked (a night-1 quit before v3 stats is the one case we can't tell apart)
+  3: (old)=> Object.assign({}, old, { version:4, started: (old.nightsCompleted|0) > 0 || (old.highestNight|0) > 1 || (old.night|0) > 1 || !!(old.stats && old.stats.nightsPlayed > 0) })
+};
+let saveData = null;       // null until loadSave(); always a valid, current-version object after
+let saveRecovered = false; // true when a corrupt save was discarded this session
+
+function defaultSave(){
+  return {
+    version: SAVE_VERSION,
+    started: false,       // true once a story night has been started; gates "Continue"
+    night: 1,             // night "Continue" resumes on
+    nightsCompleted: 0,   // lifetime count of 6 AMs
+    highestNight: 1,      // furthest night ever reached
+    extras: { customNight:false },
+    custom: { levels:null, bests:{} },   // last Custom Night setup; preset id -> best survived ms
+    stats: defaultStats(),                // lifetime totals (see addNightToStats)
+    achievements: {},                     // achievement id -> ISO date unlocked
+    settings: {}
+  };
+}
+function defaultStats(){
+  return { nightsPlayed:0, nightsWon:0, powerUsed:0, doorMs:0, monitorMs:0, camSwitches:0, nearMisses:0, caughtBy:{} };
+}
+
+function isPlainObject(v){ return v !== null && typeof v === 'object' && !Array.isArray(v); }
+function clampInt(v, lo, hi, fallback){
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : fallback;
+}
+
+/* run migrations up to SAVE_VERSION, then coerce every field into range */
+function migrateSave(raw){
+  if(!isPlainObject(raw)) throw new Error('save is not an object');
+  let data = raw;
+  let v = Number.isInteger(data.version) ? data.version : 0;
+  if(v > SAVE_VERSION) throw new Error('save version ' + v + ' is newer than this build (' + SAVE_VERSION + ')');
+  while(v < SAVE_VERSION){
+    const step = SAVE_MIGRATIONS[v];
+    if(!step) throw new Error('no migration from save version ' + v);
+    data = step(data);
+    v++;
+  }
+  const def = defaultSave();
+  const out = {
+    version: SAVE_VERSION,
+    started: data.started === true,
+    night: clampInt(data.night, 1, MAX_NIGHT, def.night),
+    nightsCompleted: clampInt(data.nightsCompleted, 0, Number.MAX_SAFE_INTEGER, def.nightsCompleted),
+    highestNight: clampInt(data.highestNight, 1, MAX_NIGHT, def.highestNight),
+    extras: Object.assign(def.extras, isPlainObject(data.extras) ? data.extras : {}),
+    custom: def.custom,
+    stats: def.stats,
+    achievements: {},
+    settings: Object.assign(def.settings, isPlainObject(data.settings) ? data.settings : {})
+  };
+  if(isPlainObject(data.custom)){
+    if(isPlainObject(data.custom.levels)) out.custom.levels = sanitizeLevels(data.custom.levels);
+    if(isPlainObject(data.custom.bests)){
+      Object.keys(data.custom.bests).forEach(id=>{
+        const ms = Number(data.custom.bests[id]);
+        if(Number.isFinite(ms) && ms > 0) out.custom.bests[id] = ms;
+      });
+    }
+  }
+  if(isPlainObject(data.stats)){
+    Object.keys(out.stats).forEach(k=>{
+      if(k === 'caughtBy') return;
+      const n = Number(data.stats[k]);
+      if(Number.isFinite(n) && n > 0) out.stats[k] = n;
+    });
+    if(isPlainObject(data.stats.caughtBy)){
+      Object.keys(data.stats.caughtBy).forEach(name=> out.stats.caughtBy[name] = clampInt(data.stats.caughtBy[name], 0, Number.MAX_SAFE_INTEGER, 0));
+    }
+  }
+  if(isPlainObject(data.achievements)){
+    Object.keys(data.achievements).forEach(id=>{ if(typeof data.achievements[id] === 'string') out.achievements[id] = data.achievements[id]; });
+  }
+  out.highestNight = Math.max(out.highestNight, out.night);
+  return out;
 }
 
+function loadSave(){
+  saveData = defaultSave();
+  let raw = null;
+  try{ raw = localStorage.getItem(SAVE_KEY); }catch(e){ console.warn('localStorage unavailable', e); return saveData; }
+  if(raw === null) return saveData;
+  try{
+    const parsed = JSON.parse(raw);
+    saveData = migrateSave(parsed);
+    if(parsed.version !== SAVE_VERSION) writeSave(); // persist upgraded schema
+  }catch(e){
+    // keep the broken blob around for bug reports, then start clean
+    console.warn('Corrupt save discarded:', e.message);
+    try{ localStorage.setItem(SAVE_KEY + '.corrupt', raw); localStorage.removeItem(SAVE_KEY); }catch(_){}
+    saveData = defaultSave();
+    saveRecovered = true;
+  }
+  return saveData;
+}
+
+function writeSave(){
+  try{
+    localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
+  }catch(e){ console.warn('save failed', e); }
+}
+
+/* progress hooks; pack nights are prototypes and never touch story progress (see checkAchievements) */
+function storyProgressCounts(){ return gameMode === 'story' && !replay && !activePack; }
+function saveNightStarted(){
+  if(!storyProgressCounts()) return;
+  saveData.started = true;
+  saveData.night = night;
+  saveData.highestNight = Math.max(saveData.highestNight, night);
+  writeSave();
+}
+function saveNightCompleted(){
+  if(!storyProgressCounts()) return;
+  saveData.nightsCompleted++;
+  if(night >= 5) saveData.extras.customNight = true;
+  saveData.night = Math.min(MAX_NIGHT, night + 1);
+  saveData.highestNight = Math.max(saveData.highestNight, saveData.night);
+  writeSave();
+}
+
+/* ---------- state machine ---------- */
+function setState(s){ gameState = s; stateSince = clock.t; }
+
 /* ---------- menu logic ---------- */
-function showMenu(){ inMenu = true; UI.menuOverlay.classList.remove('overlay-hidden'); UI.startOverlay.classList.add('overlay-hidden'); renderMenuCursor(); }
-function hideMenu(){ inMenu = false; UI.menuOverlay.classList.add('overlay-hidden'); UI.startOverlay.classList.add('overlay-hidden'); }
+function showMenu(){
+  stopPhoneCall();
+  if(recording) finishRecording('quit');
+  if(replay){ replay = null; clock.scale = clock.baseScale; }
+  setState(STATE.MENU);
+  UI.menuOverlay.classList.remove('overlay-hidden');
+  UI.startOverlay.classList.add('overlay-hidden');
+  UI.gameOverOverlay.classList.add('overlay-hidden');
+  renderContinueRow();
+  renderPackRow();
+  UI.customRow.classList.toggle('overlay-hidden', !saveData.extras.customNight);
+  renderNavFocus();
+}
+function renderContinueRow(){
+  const canContinue = saveData.started;
+  UI.continueRow.classList.toggle('disabled', !canContinue);
+  UI.continueRow.setAttribute('aria-disabled', String(!canContinue));
+  UI.continueText.innerText = canContinue ? ('Continue — Night ' + saveData.night) : 'Continue';
+  if(saveRecovered) UI.menuHint.innerText = 'Partida guardada dañada — se reinició el progreso';
+}
+function hideMenu(){ UI.menuOverlay.classList.add('overlay-hidden'); UI.startOverlay.classList.add('overlay-hidden'); }
 function renderMenuCursor(){
   // populate cursor elements (use image if exists)
   const cursorImg = assets.imgs['cursor_double'];
-  const cNew = document.getElementById('cursorNew');
-  const cCont = document.getElementById('cursorContinue');
-  cNew.innerHTML = ''; cCont.innerHTML = '';
-  if(cursorImg){
-    const el = document.createElement('img'); el.src = cursorImg.src; el.style.width='28px'; el.style.height='22px';
-    cNew.appendChild(el.cloneNode());
-    cCont.appendChild(el.cloneNode());
-  } else {
-    cNew.innerText = (selectedMenu===0?'>>':'  ');
-    cCont.innerText = (selectedMenu===1?'>>':'  ');
-  }
+  navRows(UI.menuOverlay).forEach((row, i)=>{
+    const c = row.querySelector('.menuCursor');
+    c.innerHTML = '';
+    if(i !== selectedMenu) return;
+    if(cursorImg){
+      const el = document.createElement('img'); el.src = cursorImg.src; el.style.width='28px'; el.style.height='22px';
+      c.appendChild(el);
+    } else c.innerText = '>>';
+  });
 }
 
 /* handle menu touches */
 document.getElementById('menuOverlay').addEventListener('click', (ev)=>{
-  if(!audioUnlocked){ audioUnlocked = true; } // unlock audio on first interaction
+  unlockAudio(); // unlock audio on first interaction
   // locate row click
   const tgt = ev.target.closest('.menuRow');
   if(!tgt) return;
   const opt = tgt.dataset.option;
   if(opt === 'new'){ startNewGame(); }
   else if(opt === 'continue'){ startContinue(); }
+  else if(opt === 'custom'){ showCustomNight(); }
+  else if(opt === 'settings'){ showSettings(); }
+  else if(opt === 'gallery'){ showGallery(); }
+  else if(opt === 'replay'){ UI.replayFile.value = ''; UI.replayFile.click(); }
+  else if(opt === 'pack'){
+    if(activePack){ uninstallPack(); UI.menuHint.innerText = 'Contenido original restaurado'; }
+    else { UI.packFile.value = ''; UI.packFile.click(); }
+  }
 });
 function startNewGame(){
-  hideMenu();
-  started = true; night = 1; hour = 0; power = 100;
+  gameMode = 'story';
+  night = 1;
   beginGamePlay();
 }
 function startContinue(){
-  // no persistent save yet — behave like New Game for now
-  startNewGame();
+  if(!saveData.started) return;
+  gameMode = 'story';
+  night = saveData.night;
+  beginGamePlay();
+}
+
+/* game over overlay (Retry / Main Menu) */
+function showGameOver(){
+  setState(STATE.GAMEOVER);
+  UI.gameOverText.innerText = nightLabel() + ' — ' + (jumpscareBy ? jumpscareBy.toUpperCase() + ' got in' : 'you did not make it');
+  recordCustomResult(clock.t - playStartedAt);
+  UI.gameOverOverlay.classList.remove('overlay-hidden');
+  announce('Game over. ' + UI.gameOverText.innerText);
+  renderNavFocus();
 }
+document.getElementById('gameOverOverlay').addEventListener('click', (ev)=>{
+  const tgt = ev.target.closest('.menuRow');
+  if(!tgt || gameState !== STATE.GAMEOVER) return;
+  if(tgt.dataset.option === 'exportReplay'){ exportReplay(); return; }
+  UI.gameOverOverlay.classList.add('overlay-hidden');
+  if(tgt.dataset.option === 'retry') beginGamePlay();
+  else showMenu();
+});
 
 /* ---------- game start / audio gating ---------- */
 async function beginGamePlay(){
+  hideMenu();
+  setState(STATE.LOADING);
   await preloadAll();
-  // try play ambience
-  try{
-    if(assets.audios.amb_night_loop){ assets.audios.amb_night_loop.loop=true; assets.audios.amb_night_loop.volume=0.12; assets.audios.amb_night_loop.play().catch(()=>{}); }
-    if(assets.audios.crt_static_loop){ assets.audios.crt_static_loop.loop=true; assets.audios.crt_static_loop.volume=0.06; assets.audios.crt_static_loop.play().catch(()=>{}); }
-  }catch(e){ console.warn('audio play failed', e); }
-  // init anim flags
-  Object.keys(anims).forEach(k=> anims[k].active = (night >= animDefs[k].activeFrom));
-  cassidyActive = (night >= 4);
-  // start hour ticker
-  setInterval(()=>{
-    if(!started) return;
-    hour++;
-    if(hour > 7){ night = Math.min(7, night+1); hour = 0; }
-    power = Math.max(0, power - Math.floor(Math.random()*6));
-    UI.night.innerText = 'Night: ' + night;
-    UI.time.innerText = (hour===0?'12:00 AM':(hour + ':00 AM'));
-    Object.keys(anims).forEach(k=> anims[k].active = (night >= animDefs[k].activeFrom));
-    cassidyActive = (night >= 4);
-  }, 90000);
-  cassidyGlitch.next = Date.now() + 8000 + Math.random()*8000;
-  requestAnimationFrame(loop);
+  startLoop('amb_night_loop', 0.12);
+  startLoop('crt_static_loop', 0.06);
+  resetNight();
+  await preparePhoneCall(night);
+  saveNightStarted();
+  setState(STATE.INTRO);
+}
+
+/* fresh office + animatronics for the current night */
+function resetNight(){
+  hour = 0; power = 100;
+  powerOut = false; blackout = null;
+  monitorOpen = false; monitorSingle = null;
+  doorLeftClosed = false; doorRightClosed = false;
+  lightLeftOn = false; lightRightOn = false;
+  doorAnim.left = doorAnim.right = 0;
+  officePan = 0.5;
+  jumpscareBy = null;
+  stopPhoneCall();
+  cassidyActive = currentLevels().cassidy > 0;
+  camsDownUntil = 0;
+  updateHud();
+}
+
+/* 12:00 AM: everything the simulation depends on is (re)built from the night's seed.
+   clock.t restarts at 0 so a replay adds up exactly the same float steps */
+function startNightSim(){
+  clock.t = 0;
+  playStartedAt = 0;
+  const seed = replay ? replay.data.seed : newSeed();
+  aiWorld = newAIWorld(seed);
+  anims = aiWorld.anims;
+  setAILevels(aiWorld, currentLevels());
+  simRng = createRng(seed ^ 0x5bd1e995);
+  cassidy = { next: cassidyInterval(), where:null, until:0, stare:0, glitchUntil:0 };
+  Object.keys(camStaticUntil).forEach(k=> delete camStaticUntil[k]);
+  Object.keys(camDisabledUntil).forEach(k=> delete camDisabledUntil[k]);
+  lureReadyAt = 0;
+  soundCaptions = [];
+  if(!replay) startRecording(seed);
+  nightStats = newNightStats();
+  // debug tooling in play at 12:00 AM (or a skip to this night) rules out achievements; see debugTweaks
+  nightStats.debugged = debugTweaks.skippedNight || debugTweaks.infinitePower || clock.baseScale !== 1;
+  debugTweaks.skippedNight = false;
+}
+
+/* in-game hour from simulation time since 12:00 AM */
+function updateNightClock(now){
+  const h = Math.min(WIN_HOUR, Math.floor((now - playStartedAt) / HOUR_MS));
+  if(h === hour) return;
+  hour = h;
+  updateHud();
+  if(hour >= WIN_HOUR) completeNight();
+  else if(!replay) announce(hourLabel());
+}
+
+function completeNight(){
+  stopPhoneCall();
+  monitorOpen = false; monitorSingle = null;
+  setState(STATE.COMPLETE);
+  finishRecording('complete');
+  finishNightStats('complete');
+  saveNightCompleted();
+  recordCustomResult(WIN_HOUR * HOUR_MS);
+  playSound('alarm_clock_far');
+}
+
+/* advance timed states (intro -> playing, jumpscare -> game over, 6 AM -> next night) */
+function updateState(now){
+  const elapsed = now - stateSince;
+  if(gameState === STATE.INTRO && elapsed > INTRO_MS){
+    startNightSim();
+    setState(STATE.PLAYING);
+    if(!replay) announce(nightLabel() + ', 12:00 AM');
+  } else if(gameState === STATE.JUMPSCARE && jumpscareSoundPending && elapsed > JUMPSCARE_WARN_MS){
+    playJumpscareSound();
+  } else if(gameState === STATE.JUMPSCARE && elapsed > JUMPSCARE_MS){
+    if(replay) endReplay();
+    else showGameOver();
+  } else if(gameState === STATE.COMPLETE && elapsed > COMPLETE_MS){
+    if(replay) endReplay();
+    else showResults();
+  }
+}
+/* after the results card */
+function nextAfterResults(){
+  if(gameMode === 'custom') showCustomNight();
+  else if(night >= MAX_NIGHT) showMenu();
+  else { night++; beginGamePlay(); }
+}
+
+function hourLabel(){ return hour===0 ? '12:00 AM' : (hour + ':00 AM'); }
+function nightLabel(){ return gameMode === 'custom' ? 'Custom Night' : ('Night ' + night); }
+function updateHud(){
+  UI.night.innerText = gameMode === 'custom' ? 'Custom Night' : ('Night: ' + night);
+  UI.time.innerText = hourLabel();
+  UI.power.innerText = 'Power: ' + Math.ceil(power) + '%';
 }
 
 /* ---------- baseline & scaling helpers ---------- */
@@ -246,27 +714,117 @@ function drawPlaceholderRect(x,y,w,h,label){
   ctx.fillStyle = '#9a9a9a'; ctx.font = '18px monospace'; ctx.fillText(label, x+12, y+26);
 }
 
+/* ---------- office (panning view) ---------- */
+// the office is OFFICE_SPAN screens wide; layout rects are fractions of (office width, H)
+const OFFICE_SPAN = 1.5;
+const PAN_MS = 900;           // full left-to-right sweep
+const PAN_EDGE = 0.2;         // pointer within this fraction of either edge pans
+const DOOR_ANIM_MS = 250;
+const OFFICE_LAYOUT = {
+  doorways: {
+    left:  { x:0.033, y:0.14, w:0.114, h:0.84 },
+    right: { x:0.853, y:0.14, w:0.114, h:0.84 }
+  },
+  buttons: [
+    { action:'toggleLeftDoor',   side:'left',  kind:'door',  x:0.160, y:0.36, w:0.035, h:0.09 },
+    { action:'toggleLeftLight',  side:'left',  kind:'light', x:0.160, y:0.48, w:0.035, h:0.09 },
+    { action:'toggleRightDoor',  side:'right', kind:'door',  x:0.805, y:0.36, w:0.035, h:0.09 },
+    { action:'toggleRightLight', side:'right', kind:'light', x:0.805, y:0.48, w:0.035, h:0.09 }
+  ]
+};
+// screen fractions, same in every view
+const MONITOR_BAR = { x:0, y:0.8, w:1, h:0.2 };
+
+// OFFICE_SPAN squares of H at any screen size, so the art keeps its proportions;
+// a screen wider than that sees the whole office, centered, without panning
+function officeWidth(){ return H * OFFICE_SPAN; }
+function officeViewX(){
+  const spare = officeWidth() - W;
+  return spare > 0 ? officePan * spare : spare / 2;
+}
+/* office-layout rect -> screen px at the current pan */
+function officeRect(r){
+  return { x: r.x * officeWidth() - officeViewX(), y: r.y * H, w: r.w * officeWidth(), h: r.h * H };
+}
+function doorClosed(side){ return side === 'left' ? doorLeftClosed : doorRightClosed; }
+function lightOn(side){ return side === 'left' ? lightLeftOn : lightRightOn; }
+
+function updateOffice(dt){
+  const dir = (panHeld.right ? 1 : 0) - (panHeld.left ? 1 : 0) || panPointer;
+  officePan = Math.max(0, Math.min(1, officePan + dir * dt / PAN_MS));
+  ['left','right'].forEach(side=>{
+    const target = doorClosed(side) ? 1 : 0;
+    const step = dt / DOOR_ANIM_MS;
+    doorAnim[side] = target > doorAnim[side] ? Math.min(target, doorAnim[side] + step) : Math.max(target, doorAnim[side] - step);
+  });
+}
+
+/* door_*_sprite covers a square H x H plate at its end of the office and slides down as it shuts */
+function drawDoor(side, plateX){
+  const p = doorAnim[side];
+  const key = 'door_' + side + '_sprite';
+  const img = assets.imgs[key];
+  if(!img){
+    if(p <= 0) return;
+    const r = officeRect(OFFICE_LAYOUT.doorways[side]);
+    ctx.fillStyle = '#4b3f2f'; ctx.fillRect(r.x, r.y, r.w, r.h * p);
+    return;
+  }
+  if(p > 0) ctx.drawImage(img, plateX, -(1 - p) * H, H, H);
+}
+
+/* doorway: dark unless the hall light is on, which shows whoever is standing there */
+function drawDoorway(side){
+  const r = officeRect(OFFICE_LAYOUT.doorways[side]);
+  if(!lightOn(side)){ ctx.fillStyle = 'rgba(0,0,0,0.75)'; ctx.fillRect(r.x, r.y, r.w, r.h); return; }
+  ctx.fillStyle = 'rgba(255,235,170,0.10)'; ctx.fillRect(r.x, r.y, r.w, r.h);
+  Object.values(anims).filter(a=> !a.inOffice && aiWorld.graph[a.node].door === side).forEach(a=>{
+    const key = assets.imgs[a.name + '_watch'] ? a.name + '_watch' : a.name + '_idle';
+    const img = assets.imgs[key];
+    if(img){
+      const dh = r.h * 0.95, dw = img.naturalWidth * dh / img.naturalHeight;
+      ctx.drawImage(img, r.x + (r.w - dw) / 2, r.y + r.h - dh, dw, dh);
+    } else {
+      ctx.fillStyle = animDefs[a.name].color;
+      ctx.fillRect(r.x + r.w*0.25, r.y + r.h*0.3, r.w*0.5, r.h*0.65);
+    }
+  });
+}
+
+function drawOfficeButton(b){
+  const r = officeRect(b);
+  const on = b.kind === 'door' ? doorClosed(b.side) : lightOn(b.side);
+  ctx.fillStyle = '#1a1a1a'; ctx.fillRect(r.x - 4, r.y - 4, r.w + 8, r.h + 8);
+  ctx.fillStyle = on ? (b.kind === 'door' ? '#c33' : '#ec4') : '#444';
+  ctx.fillRect(r.x, r.y, r.w, r.h);
+  ctx.fillStyle = '#ddd'; ctx.font = '12px monospace'; ctx.textAlign = 'center';
+  ctx.fillText(b.kind.toUpperCase(), r.x + r.w/2, r.y + r.h + 16);
+  ctx.textAlign = 'left';
+}
+
 function drawOfficeView(){
-  const officeImg = assets.imgs[OFFICE_KEY];
-  if(officeImg) ctx.drawImage(officeImg, 0, 0, W, H);
+  const ow = officeWidth(), vx = officeViewX();
+  // office_open: the room with empty doorways (doors are drawn on top); older builds only had office_base_closed
+  const officeImg = assets.imgs[OFFICE_OPEN_KEY] || assets.imgs[OFFICE_KEY];
+  if(ow < W){ ctx.fillStyle = '#000'; ctx.fillRect(0,0,W,H); }
+  if(officeImg) ctx.drawImage(officeImg, -vx, 0, ow, H);
   else {
     ctx.fillStyle = '#0b0b0b'; ctx.fillRect(0,0,W,H);
-    ctx.fillStyle = '#1c1c1c'; ctx.fillRect(W*0.22, H*0.55, W*0.56, H*0.14);
-    ctx.fillStyle = '#bbb'; ctx.font = '20px monospace'; ctx.fillText('Office (missing office_base_closed)', 24, 34);
+    ctx.fillStyle = '#1c1c1c'; ctx.fillRect(ow*0.3 - vx, H*0.55, ow*0.4, H*0.14);
+    ctx.fillStyle = '#bbb'; ctx.font = '20px monospace'; ctx.fillText('Office (missing office_open)', 24, H - 24);
   }
 
-  // doors sprites priority
-  const leftImg = assets.imgs['door_left_sprite'];
-  const rightImg = assets.imgs['door_right_sprite'];
-  if(leftImg) ctx.drawImage(leftImg, 0, 0, W, H);
-  else { ctx.fillStyle = doorLeftClosed ? '#4b3f2f' : '#0c0c0c'; ctx.fillRect(W*0.05, H*0.28, W*0.16, H*0.44); }
-  if(rightImg) ctx.drawImage(rightImg, 0, 0, W, H);
-  else { ctx.fillStyle = doorRightClosed ? '#4b3f2f' : '#0c0c0c'; ctx.fillRect(W*0.79, H*0.28, W*0.16, H*0.44); }
+  drawDoorway('left');
+  drawDoorway('right');
+  drawDoor('left', -vx);
+  drawDoor('right', ow - H - vx);
+  OFFICE_LAYOUT.buttons.forEach(drawOfficeButton);
 
   // draw anims in office (use jumpscare sprite if exists scaled; otherwise silhouette)
   Object.values(anims).forEach(a=>{
     if(a.inOffice){
       const sprite = assets.imgs[a.name + '_jumpscare'];
+      const cx = ow * 0.5 - vx;
       if(sprite){
         // place slightly left/right depending on name for variety
         const offX = (a.name==='vale' ? -40 : (a.name==='patch'? 10 : 0));
@@ -274,88 +832,295 @@ function drawOfficeView(){
         const scale = targetH / sprite.naturalHeight;
         const dw = Math.floor(sprite.naturalWidth * scale);
         const dh = Math.floor(sprite.naturalHeight * scale);
-        const dx = Math.floor(W*0.46 + offX - dw/2);
+        const dx = Math.floor(cx + offX - dw/2);
         const dy = Math.floor(BASELINE_Y - dh);
         ctx.drawImage(sprite, dx, dy, dw, dh);
       } else {
         ctx.fillStyle = a.color || '#fff';
-        ctx.fillRect(W*0.44, H*0.45, W*0.12, H*0.28);
-        ctx.fillStyle = '#000'; ctx.font = '18px monospace'; ctx.fillText(a.name.toUpperCase(), W*0.445, H*0.43);
+        ctx.fillRect(cx - H*0.06, H*0.45, H*0.12, H*0.28);
+        ctx.fillStyle = '#000'; ctx.font = '18px monospace'; ctx.fillText(a.name.toUpperCase(), cx - H*0.055, H*0.43);
       }
     }
   });
+  if(cassidy.where === 'office') drawCassidyShadow(ow*0.5 - vx - H*0.2, H*0.2, H*0.4, H*0.75, clock.t);
+
+  // monitor tab
+  ctx.fillStyle = 'rgba(255,255,255,0.12)'; ctx.fillRect(W*0.3, H - 28, W*0.4, 20);
+  ctx.fillStyle = '#ccc'; ctx.font = '13px monospace'; ctx.textAlign = 'center';
+  ctx.fillText('▲ CAMS', W/2, H - 13);
+  ctx.textAlign = 'left';
 }
 
-/* monitor grid / single (thumbnails use anim idle sprite if present) */
-const thumbW = Math.floor(W*0.28), thumbH = Math.floor(H*0.22);
-const camPositions = [
-  {x: W*0.05, y: H*0.06, id:1},
-  {x: W*0.37, y: H*0.06, id:2},
-  {x: W*0.69, y: H*0.06, id:3},
-  {x: W*0.05, y: H*0.33, id:4},
-  {x: W*0.37, y: H*0.33, id:5},
-  {x: W*0.69, y: H*0.33, id:6},
-  {x: W*0.37, y: H*0.60, id:7}
+/* monitor grid / single (anims drawn through drawAnimOnFeed) */
+// grid slots as fractions of a square area, centered when the screen is wider
+const CAM_SLOTS = [
+  {x:0.05, y:0.06, id:1}, {x:0.37, y:0.06, id:2}, {x:0.69, y:0.06, id:3},
+  {x:0.05, y:0.33, id:4}, {x:0.37, y:0.33, id:5}, {x:0.69, y:0.33, id:6},
+  {x:0.37, y:0.60, id:7}
 ];
+let thumbW = 0, thumbH = 0;
+let camPositions = [];
+function layoutCams(){
+  const gw = Math.min(W, H), gx = (W - gw) / 2;
+  thumbW = Math.floor(gw*0.28); thumbH = Math.floor(H*0.22);
+  camPositions = CAM_SLOTS.map(s=> ({ x: gx + gw*s.x, y: H*s.y, id:s.id }));
+}
+
+/* ---------- animatronic sprite states ---------- */
+const WALK_MS = 1500;          // *_walk right after a move
+const WATCH_AFTER_MS = 3000;   // *_watch once a cam has stayed on it this long
+const CAM_STATIC_MS = 600;     // feed static when someone enters or leaves a cam
+// feet position + sprite height as fractions of the feed; several animatronics on one cam fill slots in order
+const CAM_ANCHORS = {
+  1: [{x:0.50,y:0.80,h:0.55}, {x:0.24,y:0.78,h:0.50}, {x:0.76,y:0.78,h:0.50}, {x:0.38,y:0.74,h:0.42}],
+  2: [{x:0.62,y:0.80,h:0.55}, {x:0.34,y:0.78,h:0.50}],
+  3: [{x:0.40,y:0.82,h:0.58}, {x:0.68,y:0.80,h:0.52}],
+  4: [{x:0.70,y:0.80,h:0.55}, {x:0.40,y:0.78,h:0.50}],
+  5: [{x:0.55,y:0.84,h:0.60}, {x:0.30,y:0.80,h:0.52}],
+  6: [{x:0.45,y:0.82,h:0.60}, {x:0.72,y:0.80,h:0.52}],
+  7: [{x:0.65,y:0.78,h:0.60}]
+};
+const DEFAULT_ANCHOR = {x:0.65, y:0.78, h:0.6};
+const camStaticUntil = {};     // cam id -> clock.t
+
+function animVisualState(a, now){
+  if(now - a.lastMove < WALK_MS) return 'walk';
+  if(a.watchedSince !== null && a.watchedSince !== undefined && now - a.watchedSince > WATCH_AFTER_MS) return 'watch';
+  return 'idle';
+}
+/* track how long the current feed has been on each animatronic */
+function updateWatchTimers(now){
+  const cams = watchedCams();
+  Object.values(anims).forEach(a=>{
+    if(a.cam !== null && cams.includes(a.cam)){ if(a.watchedSince === null || a.watchedSince === undefined) a.watchedSince = now; }
+    else a.watchedSince = null;
+  });
+}
+function markCamStatic(cam, now){ if(cam !== null) camStaticUntil[cam] = now + CAM_STATIC_MS; }
+
+function animsOnCam(id){ return Object.values(anims).filter(a=> a.active && !a.inOffice && a.cam === id); }
+
+
+/* draw animatronic a on a cam feed occupying rect (rx,ry,rw,rh) */
+function drawAnimOnFeed(a, camId, slot, rx, ry, rw, rh, now){
+  const anchor = (CAM_ANCHORS[camId] || [])[slot] || DEFAULT_ANCHOR;
+  const state = animVisualState(a, now);
+  const key = assets.imgs[a.name + '_' + state] ? (a.name + '_' + state) : (a.name + '_idle');
+  const footX = rx + rw * anchor.x, footY = ry + rh * anchor.y;
+  const img = assets.imgs[key];
+  if(img){
+    const scale = (rh * anchor.h) / img.naturalHeight;
+    const dw = Math.floor(img.naturalWidth * scale), dh = Math.floor(img.naturalHeight * scale);
+    ctx.drawImage(img, Math.floor(footX - dw/2), Math.floor(footY - dh), dw, dh);
+  } else {
+    const def = animDefs[a.name];
+    ctx.fillStyle = (def && def.color) || '#fff';
+    ctx.fillRect(footX - rw*0.04, footY - rh*0.22, rw*0.08, rh*0.22);
+    ctx.fillStyle = '#000'; ctx.font = Math.max(10, Math.floor(rh*0.016)) + 'px monospace';
+    ctx.fillText(a.name, footX - rw*0.04 + 3, footY - rh*0.22 - 4);
+  }
+}
+
+/* transition noise over a feed right after movement */
+function drawFeedStatic(camId, rx, ry, rw, rh, now){
+  const until = camStaticUntil[camId] || 0;
+  if(now >= until) return;
+  const k = (until - now) / CAM_STATIC_MS;
+  if(a11y('photosensitive')){
+    // a steady dim instead of noise
+    ctx.fillStyle = 'rgba(20,20,20,' + (0.5 * k).toFixed(3) + ')'; ctx.fillRect(rx, ry, rw, rh);
+    return;
+  }
+  ctx.save();
+  ctx.globalAlpha = 0.35 + 0.6 * k;
+  ctx.fillStyle = '#111'; ctx.fillRect(rx, ry, rw, rh);
+  const band = Math.max(2, Math.floor(rh / 90));
+  for(let y = 0; y < rh; y += band){
+    const v = Math.floor(Math.random() * 200);
+    ctx.fillStyle = 'rgb(' + v + ',' + v + ',' + v + ')';
+    ctx.fillRect(rx, ry + y, rw, Math.max(1, band - 1));
+  }
+  ctx.restore();
+}
 
 function drawMonitorGrid(){
+  const now = clock.t;
   ctx.fillStyle = '#000'; ctx.fillRect(0,0,W,H);
   camPositions.forEach(p=>{
     const rx = Math.floor(p.x), ry = Math.floor(p.y);
     const key = (p.id === 7 ? OFFICE_KEY : camKeyById[p.id]);
     const img = assets.imgs[key];
+    if(camDisabled(p.id, now)){
+      drawCamsDown(rx, ry, thumbW, thumbH, 'CAM DISABLED');
+      ctx.fillStyle = '#ccc'; ctx.font = '14px monospace'; ctx.fillText('CAM ' + p.id, rx + 8, ry + 18);
+      return;
+    }
     if(img) ctx.drawImage(img, rx, ry, thumbW, thumbH);
     else drawPlaceholderRect(rx, ry, thumbW, thumbH, 'CAM ' + p.id);
 
-    // draw anim indicator or small idle sprite
-    Object.values(anims).forEach(a=>{
-      if(a.active && !a.inOffice && a.cam === p.id){
-        const sprite = assets.imgs[a.name + '_idle'];
-        if(sprite){
-          // draw small scaled sprite bottom-right of thumb
-          const scale = (thumbH * 0.6) / sprite.naturalHeight;
-          const dw = Math.floor(sprite.naturalWidth * scale), dh = Math.floor(sprite.naturalHeight * scale);
-          const sx = rx + thumbW - dw - 6, sy = ry + thumbH - dh - 6;
-          ctx.drawImage(sprite, sx, sy, dw, dh);
-        } else {
-          ctx.beginPath();
-          ctx.fillStyle = a.color || '#f00';
-          ctx.arc(rx + thumbW - 22, ry + 22, 10, 0, Math.PI*2); ctx.fill();
-        }
-      }
-    });
+    // clip sprites to the thumbnail
+    ctx.save();
+    ctx.beginPath(); ctx.rect(rx, ry, thumbW, thumbH); ctx.clip();
+    animsOnCam(p.id).forEach((a, slot)=> drawAnimOnFeed(a, p.id, slot, rx, ry, thumbW, thumbH, now));
+    if(cassidy.where === p.id) drawCassidyShadow(rx, ry, thumbW, thumbH, now);
+    ctx.restore();
+    drawFeedStatic(p.id, rx, ry, thumbW, thumbH, now);
     ctx.fillStyle = '#ccc'; ctx.font = '14px monospace'; ctx.fillText('CAM ' + p.id, rx + 8, ry + 18);
   });
 }
 
+/* single-cam view: a square feed (never stretched) with the map column beside it, so the
+   map and lure button never cover the animatronics standing on CAM_ANCHORS */
+const CAM_SIDE = { share:0.36, maxW:0.6, top:0.12, bottom:0.78 };   // panel share of W, cap vs feed size, usable band of H
+function singleCamLayout(){
+  const s = Math.min(H, W * (1 - CAM_SIDE.share));
+  const pw = Math.min(W - s, s * CAM_SIDE.maxW);
+  const x0 = Math.floor((W - s - pw) / 2);
+  const pad = Math.floor(pw * 0.06);
+  const px = x0 + s + pad, ppw = pw - pad * 2;
+  const lure = { x:px, y:H * CAM_SIDE.top, w:ppw, h:Math.max(36, H * 0.055) };
+  const mapY = lure.y + lure.h + pad;
+  const map = { x:px, y:mapY, w:ppw, h:Math.min(ppw * 0.9, H * CAM_SIDE.bottom - mapY) };
+  return { feed:{ x:x0, y:(H - s) / 2, w:s, h:s }, lure, map };
+}
 function drawSingleCam(id){
+  const now = clock.t;
   const key = (id === 7 ? OFFICE_KEY : camKeyById[id]);
   const img = assets.imgs[key];
-  if(img) ctx.drawImage(img, 0, 0, W, H);
-  else drawPlaceholderRect(0,0,W,H,'CAM ' + id + ' (missing)');
+  const f = singleCamLayout().feed;
+  ctx.fillStyle = '#000'; ctx.fillRect(0,0,W,H);
+  if(camDisabled(id, now)) drawCamsDown(f.x, f.y, f.w, f.h, 'CAMERA DISABLED');
+  else {
+    if(img) ctx.drawImage(img, f.x, f.y, f.w, f.h);
+    else drawPlaceholderRect(f.x, f.y, f.w, f.h, 'CAM ' + id + ' (missing)');
+    animsOnCam(id).forEach((a, slot)=> drawAnimOnFeed(a, id, slot, f.x, f.y, f.w, f.h, now));
+    if(cassidy.where === id) drawCassidyShadow(f.x, f.y, f.w, f.h, now);
+    drawFeedStatic(id, f.x, f.y, f.w, f.h, now);
+  }
+  drawMap(now);
+  drawLureButton(now);
+}
 
-  // draw anims present as full sprite if available
-  Object.values(anims).forEach(a=>{
-    if(a.active && !a.inOffice && a.cam === id){
-      const sprite = assets.imgs[a.name + '_idle'];
-      if(sprite){
-        // draw with baseline alignment at right area
-        const targetH = Math.floor(H * 0.6);
-        const scale = targetH / sprite.naturalHeight;
-        const dw = Math.floor(sprite.naturalWidth * scale), dh = Math.floor(sprite.naturalHeight * scale);
-        const px = Math.floor(W*0.65 - dw/2), py = Math.floor(BASELINE_Y - dh);
-        ctx.drawImage(sprite, px, py, dw, dh);
-      } else {
-        ctx.fillStyle = a.color || '#fff';
-        ctx.fillRect(W*0.62, H*0.38, W*0.08, H*0.22);
-        ctx.fillStyle='#000'; ctx.font='16px monospace'; ctx.fillText(a.name, W*0.62+4, H*0.36);
-      }
-    }
+/* ---------- building map (single-cam view) ---------- */
+// room rects are fractions of the map panel (see singleCamLayout); corridors come from ROOM_GRAPH links
+const MAP_ROOMS = {
+  cam1:   { x:0.38, y:0.02, w:0.24, h:0.18 },
+  cam2:   { x:0.02, y:0.08, w:0.22, h:0.16 },
+  cam4:   { x:0.02, y:0.34, w:0.22, h:0.16 },
+  cam6:   { x:0.02, y:0.60, w:0.22, h:0.16 },
+  cam3:   { x:0.76, y:0.08, w:0.22, h:0.16 },
+  cam5:   { x:0.76, y:0.40, w:0.22, h:0.16 },
+  hallL:  { x:0.30, y:0.36, w:0.09, h:0.40 },
+  hallR:  { x:0.61, y:0.36, w:0.09, h:0.40 },
+  office: { x:0.40, y:0.80, w:0.20, h:0.18, cam:7 }
+};
+// door rooms are drawn as part of the office; pack rooms may bring their own rect (graph[node].map)
+
+function mapRect(r){
+  const p = singleCamLayout().map;
+  return { x:p.x + r.x * p.w, y:p.y + r.y * p.h, w:r.w * p.w, h:r.h * p.h };
+}
+function mapRoomOf(node){
+  const n = aiWorld.graph[node];
+  if(node === 'office' || (n && n.door)) return MAP_ROOMS.office;
+  return n && (n.map || MAP_ROOMS[node]);
+}
+/* map nodes that get drawn: every room with a rect, plus the office */
+function mapNodes(){ return Object.keys(aiWorld.graph).filter(n=> !aiWorld.graph[n].door && mapRoomOf(n)).concat('office'); }
+/* rooms with a camera button on the map: [{ cam, node, rect }] */
+function mapCamButtons(){
+  return mapNodes().map(node=>{
+    const cam = node === 'office' ? MAP_ROOMS.office.cam : camOfNode(aiWorld.graph, node);
+    return cam ? { cam, node, rect: mapRect(mapRoomOf(node)) } : null;
+  }).filter(Boolean);
+}
+
+function drawMap(now){
+  const p = mapRect({ x:0, y:0, w:1, h:1 });
+  ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(p.x - 6, p.y - 6, p.w + 12, p.h + 12);
+  // corridors
+  ctx.strokeStyle = '#555'; ctx.lineWidth = 3;
+  Object.keys(aiWorld.graph).forEach(n=>{
+    const a = mapRoomOf(n);
+    if(!a) return;
+    aiWorld.graph[n].links.forEach(m=>{
+      const b = mapRoomOf(m);
+      if(!b || b === a) return;
+      const ra = mapRect(a), rb = mapRect(b);
+      ctx.beginPath(); ctx.moveTo(ra.x + ra.w/2, ra.y + ra.h/2); ctx.lineTo(rb.x + rb.w/2, rb.y + rb.h/2); ctx.stroke();
+    });
+  });
+  ctx.lineWidth = 1;
+  // rooms, then cam buttons on top
+  mapNodes().forEach(node=>{
+    const r = mapRect(mapRoomOf(node));
+    ctx.fillStyle = '#161616'; ctx.fillRect(r.x, r.y, r.w, r.h);
+    ctx.strokeStyle = '#3a3a3a'; ctx.strokeRect(r.x, r.y, r.w, r.h);
+  });
+  const lure = aiWorld.lure && now < aiWorld.lure.until ? aiWorld.lure.node : null;
+  mapCamButtons().forEach(b=>{
+    const r = b.rect;
+    const flicker = now < (camStaticUntil[b.cam] || 0) && (a11y('photosensitive') || Math.floor(now / 90) % 2 === 0);
+    ctx.fillStyle = camDisabled(b.cam, now) ? '#511' : (b.cam === monitorSingle ? '#2c6' : (flicker ? '#777' : '#333'));
+    ctx.fillRect(r.x + 3, r.y + 3, r.w - 6, r.h - 6);
+    ctx.fillStyle = '#eee'; ctx.font = '13px monospace'; ctx.textAlign = 'center';
+    ctx.fillText('CAM ' + b.cam, r.x + r.w/2, r.y + r.h/2 + 4);
+    if(b.node === lure && (a11y('photosensitive') || Math.floor(now / 300) % 2 === 0)) ctx.fillText('♪', r.x + r.w - 10, r.y + 14);
+    ctx.textAlign = 'left';
   });
 }
 
+/* ---------- cam disruption + audio lure ---------- */
+const camDisabledUntil = {};   // cam id -> clock.t
+const LURE = { powerCost:1.5, cooldownMs:12000, durationMs:8000 };
+let lureReadyAt = 0;
+
+function camDisabled(cam, now){ return now < (camDisabledUntil[cam] || 0); }
+function nodeOfCam(cam){ return Object.keys(aiWorld.graph).find(n=> aiWorld.graph[n].cam === cam) || null; }
+
+/* AI_RULES[name].disrupt: walking into a room may knock its camera out */
+function maybeDisruptCam(e, now){
+  const rule = aiWorld.rules[e.name].disrupt;
+  const cam = camOfNode(aiWorld.graph, e.to);
+  if(!rule || cam === null || random() >= rule.chance) return;
+  camDisabledUntil[cam] = now + randRange(rule.ms);
+}
+
+/* play a sound through the viewed cam's speaker; needs a working camera and power */
+function lureAvailable(now){
+  const node = monitorSingle === null ? null : nodeOfCam(monitorSingle);
+  return !!node && !camDisabled(monitorSingle, now) && !camsDown(now) && now >= lureReadyAt && power > LURE.powerCost;
+}
+function playLure(){
+  const now = clock.t;
+  if(!lureAvailable(now)) return;
+  const node = nodeOfCam(monitorSingle);
+  setLure(aiWorld, node, now, LURE.durationMs);
+  power -= LURE.powerCost;
+  lureReadyAt = now + LURE.cooldownMs;
+  updateHud();
+  playSound('alarm_clock_far', { pan: nodePan(node), volume:0.35 });
+  captionSound('Lure playing on CAM ' + monitorSingle, sideOfNode(aiWorld.graph, node));
+}
+
+function drawLureButton(now){
+  const r = singleCamLayout().lure;
+  const ready = lureAvailable(now);
+  ctx.fillStyle = ready ? 'rgba(40,70,40,0.85)' : 'rgba(30,30,30,0.85)';
+  ctx.fillRect(r.x, r.y, r.w, r.h);
+  // cooldown sweep
+  if(now < lureReadyAt){
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    ctx.fillRect(r.x, r.y, r.w * (1 - (lureReadyAt - now) / LURE.cooldownMs), r.h);
+  }
+  ctx.fillStyle = ready ? '#dfd' : '#777'; ctx.font = '14px monospace'; ctx.textAlign = 'center';
+  ctx.fillText('PLAY AUDIO (-' + LURE.powerCost + '%)', r.x + r.w/2, r.y + r.h/2 + 5);
+  ctx.textAlign = 'left';
+}
+
 /* scanlines (very subtle) */
 function drawScanlines(){
+  if(a11y('photosensitive')) return;
   const sl = assets.imgs['scanlines'];
   if(sl){
     ctx.globalAlpha = 0.06;
@@ -370,150 +1135,1651 @@ function drawScanlines(){
   ctx.restore();
 }
 
-/* cassidy overlay */
-function updateCassidy(now){
+/* ---------- cassidy (hazard) ---------- */
+// she appears as a shadow on one cam or in the office; [level 1, level 20] ranges
+// cam: keep her feed on screen for stareMs and the monitor shorts out (cams dark + power hit)
+// office: pull the monitor up within respondMs or she attacks
+const CASSIDY = {
+  officeChance: [0.15, 0.45],   // only rolled while the monitor is down
+  lingerMs: [7000, 4000],       // a cam visit ends on its own after this
+  stareMs: [3000, 1000],
+  respondMs: [4500, 1800],
+  camsDownMs: 10000,
+  powerHit: 4,                  // % lost when the monitor shorts out
+  glitchMs: 900
+};
+function byCassidyLevel(range){
+  const k = Math.max(0, (currentLevels().cassidy || 1) - 1) / (MAX_AI_LEVEL - 1);
+  return range[0] + (range[1] - range[0]) * k;
+}
+function camsDown(now){ return now < camsDownUntil; }
+/* cam ids that have a room in the current graph (a content pack may leave some grid slots empty) */
+function graphCams(){ return [...new Set(Object.values(aiWorld.graph).map(n=> n.cam).filter(Boolean))]; }
+
+function updateCassidy(now, dt){
   if(!cassidyActive) return;
-  if(now > cassidyGlitch.next && !cassidyGlitch.active){
-    cassidyGlitch.active = true;
-    cassidyGlitch.end = now + (1000 + Math.random()*1400);
-    cassidyGlitch.next = now + (8000 + Math.random()*15000);
+  if(powerOut){ cassidy.where = null; return; }
+  if(cassidy.where === null){
+    if(now < cassidy.next) return;
+    const cams = graphCams();
+    const office = !cams.length || (!monitorOpen && random() < byCassidyLevel(CASSIDY.officeChance));
+    cassidy.where = office ? 'office' : cams[Math.floor(random() * cams.length)];
+    cassidy.until = now + byCassidyLevel(office ? CASSIDY.respondMs : CASSIDY.lingerMs);
+    cassidy.stare = 0;
+    if(office){ playSound('cassidy_static_hit', { volume:0.4 }); captionSound('Static crackles in the office'); }
+    else markCamStatic(cassidy.where, now);
+    return;
   }
-  if(cassidyGlitch.active && now > cassidyGlitch.end) cassidyGlitch.active = false;
+  if(cassidy.where === 'office'){
+    if(monitorOpen) cassidyLeaves(now);
+    else if(now >= cassidy.until){ cassidy.where = null; triggerEntry('cassidy'); }
+    return;
+  }
+  if(watchedCams().includes(cassidy.where)){
+    cassidy.stare += dt;
+    if(cassidy.stare >= byCassidyLevel(CASSIDY.stareMs)){ shortOutMonitor(now); cassidyLeaves(now); return; }
+  }
+  if(now >= cassidy.until) cassidyLeaves(now);
+}
+function cassidyLeaves(now){
+  if(cassidy.where === 'office') nightStats.nearMisses++;   // looked away in time
+  else markCamStatic(cassidy.where, now);
+  cassidy.where = null;
+  cassidy.next = now + cassidyInterval();
+}
+function shortOutMonitor(now){
+  nightStats.shortOuts++;
+  camsDownUntil = now + CASSIDY.camsDownMs;
+  power = Math.max(0, power - CASSIDY.powerHit);
+  cassidy.glitchUntil = now + CASSIDY.glitchMs;
+  playSound('cassidy_static_hit');
+  captionSound('Monitor shorts out');
 }
-function drawCassidyOverlay(){
+
+/* her shadow, feet on the floor of the feed / office */
+function drawCassidyShadow(rx, ry, rw, rh, now){
+  const img = assets.imgs['cassidy_shadow'];
+  ctx.save();
+  ctx.globalAlpha = a11y('photosensitive') ? 0.8 : 0.75 + 0.2 * Math.sin(now / 90);   // faint flicker
+  if(img){
+    const dh = rh * 0.8, dw = img.naturalWidth * dh / img.naturalHeight;
+    ctx.drawImage(img, rx + (rw - dw) / 2, ry + rh * 0.95 - dh, dw, dh);
+  } else {
+    ctx.fillStyle = '#050505';
+    ctx.beginPath(); ctx.ellipse(rx + rw/2, ry + rh*0.6, rw*0.1, rh*0.34, 0, 0, Math.PI*2); ctx.fill();
+  }
+  ctx.restore();
+}
+/* dead monitor after a short-out */
+function drawCamsDown(rx, ry, rw, rh, label){
+  ctx.fillStyle = '#070707'; ctx.fillRect(rx, ry, rw, rh);
+  for(let i=0;!a11y('photosensitive') && i<rw*rh/4000;i++){
+    const v = Math.floor(Math.random() * 120);
+    ctx.fillStyle = 'rgb(' + v + ',' + v + ',' + v + ')';
+    ctx.fillRect(rx + Math.random()*rw, ry + Math.random()*rh, 2, 1);
+  }
+  ctx.fillStyle = '#c33'; ctx.font = '22px monospace'; ctx.textAlign = 'center';
+  ctx.fillText(label || 'NO SIGNAL', rx + rw/2, ry + rh/2);
+  ctx.textAlign = 'left';
+}
+
+function drawCassidyOverlay(now){
   if(!cassidyActive) return;
   const img = assets.imgs['cassidy_static'];
-  if(cassidyGlitch.active && img){
+  if(a11y('photosensitive')){
+    // no static flashes: a steady red tint while the glitch lasts
+    if(now < cassidy.glitchUntil){ ctx.fillStyle = 'rgba(90,0,0,0.18)'; ctx.fillRect(0, 0, W, H); }
+  } else if(now < cassidy.glitchUntil && img){
     ctx.globalAlpha = 0.45;
     ctx.drawImage(img, 0, 0, W, H);
     ctx.globalAlpha = 1;
-    if(assets.audios.cassidy_static_hit) try{ assets.audios.cassidy_static_hit.currentTime=0, assets.audios.cassidy_static_hit.play(); }catch(e){}
-  } else if(cassidyGlitch.active){
+  } else if(now < cassidy.glitchUntil || (cassidy.where === 'office' && !monitorOpen)){
     ctx.fillStyle = 'rgba(255,255,255,0.015)'; for(let i=0;i<140;i++) ctx.fillRect(Math.random()*W, Math.random()*H, 1, 1);
   }
 }
 
-/* ---------- difficulty table per night ---------- */
-const NIGHT_SPEED = {
-  1: 1.6, // slow (bigger interval multiplier)
-  2: 1.25,
-  3: 1.0,
-  4: 0.95,
-  5: 0.85,
-  6: 0.6,
-  7: 0.5
+/* ---------- difficulty table per night (AI levels 0-20) ---------- */
+let NIGHT_LEVELS = {
+  1: { vale:0,  patch:0,  lulla:3,  rust:0,  cassidy:0 },
+  2: { vale:0,  patch:3,  lulla:4,  rust:0,  cassidy:0 },
+  3: { vale:3,  patch:5,  lulla:6,  rust:0,  cassidy:0 },
+  4: { vale:5,  patch:7,  lulla:7,  rust:0,  cassidy:4 },
+  5: { vale:8,  patch:9,  lulla:9,  rust:5,  cassidy:6 },
+  6: { vale:12, patch:12, lulla:12, rust:10, cassidy:10 },
+  7: { vale:15, patch:15, lulla:15, rust:15, cassidy:14 }
 };
+let LEVEL_KEYS = ['vale','patch','lulla','rust','cassidy'];
+const CUSTOM_NIGHT = 7;   // Custom Night uses night 7's power drain
+
+function currentLevels(){
+  if(replay) return replay.levels;
+  return gameMode === 'custom' ? customLevels : storyLevels(night);
+}
+/* a pack may have fewer nights (the last one repeats) and animatronics that start later */
+function storyLevels(n){
+  const last = Math.max.apply(null, Object.keys(NIGHT_LEVELS).map(Number));
+  const levels = Object.assign({}, NIGHT_LEVELS[Math.min(n, last)]);
+  Object.keys(animDefs).forEach(name=>{ if(n < (animDefs[name].activeFrom || 1)) levels[name] = 0; });
+  return levels;
+}
+function sanitizeLevels(levels){
+  const out = {};
+  LEVEL_KEYS.forEach(k=> out[k] = clampInt(levels && levels[k], 0, MAX_AI_LEVEL, 0));
+  return out;
+}
+
+/* cassidy glitches more often the higher her level */
+function cassidyInterval(){
+  const lvl = currentLevels().cassidy || 1;
+  return (8000 + random()*15000) * (1.5 - lvl / MAX_AI_LEVEL);
+}
+
+/* ---------- custom night ---------- */
+const CUSTOM_PRESETS = [
+  { id:'4-20',        name:'4/20 Mode',   levels:{ vale:20, patch:20, lulla:20, rust:20, cassidy:20 } },
+  { id:'left-hall',   name:'Left Hall',   levels:{ vale:0,  patch:15, lulla:0,  rust:15, cassidy:5 } },
+  { id:'right-hall',  name:'Right Hall',  levels:{ vale:15, patch:0,  lulla:15, rust:0,  cassidy:5 } },
+  { id:'static-only', name:'Static Only', levels:{ vale:0,  patch:0,  lulla:0,  rust:0,  cassidy:20 } }
+];
+
+function matchingPreset(levels){
+  return CUSTOM_PRESETS.find(p=> LEVEL_KEYS.every(k=> p.levels[k] === levels[k])) || null;
+}
+function formatSurvived(ms){
+  if(ms >= WIN_HOUR * HOUR_MS) return '6:00 AM ★';
+  const h = Math.floor(ms / HOUR_MS), m = Math.floor((ms % HOUR_MS) / HOUR_MS * 60);
+  return (h===0 ? 12 : h) + ':' + String(m).padStart(2,'0') + ' AM';
+}
+
+function recordCustomResult(survivedMs){
+  if(gameMode !== 'custom' || replay) return;
+  const preset = matchingPreset(customLevels);
+  if(!preset) return;
+  const best = saveData.custom.bests[preset.id] || 0;
+  if(survivedMs > best){ saveData.custom.bests[preset.id] = survivedMs; writeSave(); }
+}
+
+function showCustomNight(){
+  setState(STATE.MENU);
+  customLevels = sanitizeLevels(!activePack && saveData.custom.levels || storyLevels(CUSTOM_NIGHT));
+  UI.menuOverlay.classList.add('overlay-hidden');
+  UI.gameOverOverlay.classList.add('overlay-hidden');
+  UI.customOverlay.classList.remove('overlay-hidden');
+  renderCustomNight();
+  renderNavFocus();
+}
+function hideCustomNight(){ UI.customOverlay.classList.add('overlay-hidden'); }
+
+function renderCustomNight(){
+  UI.customLevels.innerHTML = LEVEL_KEYS.map(k=>
+    '<div class="levelRow" data-name="' + k + '">' +
+      '<span class="levelName">' + k.toUpperCase() + '</span>' +
+      '<button class="levelBtn" data-delta="-1">-</button>' +
+      '<span class="levelValue">' + customLevels[k] + '</span>' +
+      '<button class="levelBtn" data-delta="1">+</button>' +
+    '</div>').join('');
+  const active = matchingPreset(customLevels);
+  UI.customPresets.innerHTML = CUSTOM_PRESETS.map(p=>{
+    const best = saveData.custom.bests[p.id];
+    return '<div class="presetRow' + (active === p ? ' selected' : '') + '" data-preset="' + p.id + '">' +
+      '<span class="presetName">' + p.name + '</span>' +
+      '<span class="presetBest">' + (best ? 'Best: ' + formatSurvived(best) : '—') + '</span>' +
+    '</div>';
+  }).join('');
+}
+
+document.getElementById('customOverlay').addEventListener('click', (ev)=>{
+  const lvlBtn = ev.target.closest('.levelBtn');
+  const preset = ev.target.closest('.presetRow');
+  const row = ev.target.closest('.menuRow');
+  if(lvlBtn){
+    const name = lvlBtn.closest('.levelRow').dataset.name;
+    customLevels[name] = Math.max(0, Math.min(MAX_AI_LEVEL, customLevels[name] + Number(lvlBtn.dataset.delta)));
+    renderCustomNight();
+    renderNavFocus();
+  } else if(preset){
+    customLevels = sanitizeLevels(CUSTOM_PRESETS.find(p=> p.id === preset.dataset.preset).levels);
+    renderCustomNight();
+    renderNavFocus();
+  } else if(row && row.dataset.option === 'start'){
+    startCustomNight();
+  } else if(row && row.dataset.option === 'back'){
+    hideCustomNight();
+    showMenu();
+  }
+});
+
+function startCustomNight(){
+  if(!activePack){ saveData.custom.levels = Object.assign({}, customLevels); writeSave(); }
+  hideCustomNight();
+  gameMode = 'custom';
+  night = CUSTOM_NIGHT;
+  beginGamePlay();
+}
+
+/* ---------- power economy ---------- */
+// % per second: idle base plus one "usage" unit per closed door / open monitor
+const POWER_DRAIN = { base: 0.1, perUsage: 0.12 };
+const NIGHT_DRAIN = { 1:0.8, 2:0.9, 3:1.0, 4:1.1, 5:1.2, 6:1.3, 7:1.4 };
+const MAX_USAGE = 4;
+// blackout: lights die, something shows up at the left door, then it attacks
+const BLACKOUT_DARK_MS = [3000, 8000];
+const BLACKOUT_STALK_MS = [6000, 14000];
+const BLACKOUT_ATTACK_MS = [1500, 4000];
+
+function powerUsage(){
+  return 1 + (doorLeftClosed?1:0) + (doorRightClosed?1:0) + (monitorOpen?1:0) + (lightLeftOn || lightRightOn ? 1 : 0);
+}
+function powerDrainPerSec(){
+  return (POWER_DRAIN.base + (powerUsage() - 1) * POWER_DRAIN.perUsage) * (NIGHT_DRAIN[night] || 1.0);
+}
+function randRange(range){ return range[0] + random() * (range[1] - range[0]); }
+
+function updatePower(now, dt){
+  if(gameState !== STATE.PLAYING) return;
+  if(powerOut){ updateBlackout(now); return; }
+  const before = Math.ceil(power);
+  if(!debugTweaks.infinitePower) power = Math.max(0, power - powerDrainPerSec() * dt / 1000);
+  if(Math.ceil(power) !== before) updateHud();
+  if(power <= 0) startBlackout(now);
+}
+
+function startBlackout(now){
+  powerOut = true;
+  if(doorLeftClosed){ playSound('door_open', { pan: SIDE_PAN.left }); captionSound('Door opens', 'left'); }
+  if(doorRightClosed){ playSound('door_open', { pan: SIDE_PAN.right }); captionSound('Door opens', 'right'); }
+  doorLeftClosed = false; doorRightClosed = false;
+  lightLeftOn = false; lightRightOn = false;
+  if(monitorOpen) playSound('crt_close');
+  monitorOpen = false; monitorSingle = null;
+  // nobody active (Cassidy-only nights): any animatronic of the current roster comes instead
+  const active = Object.values(anims).filter(a=> a.active && !a.inOffice);
+  const pool = active.length ? active : Object.values(anims);
+  const attacker = pool[Math.floor(random()*pool.length)].name;
+  // it comes through its own door (vale and lulla use the right one)
+  const side = sideOfNode(aiWorld.graph, aiWorld.rules[attacker].door) || 'left';
+  blackout = { phase:'dark', until: now + randRange(BLACKOUT_DARK_MS), attacker, side };
+  updateHud();
+  announce('Power out');
+}
+
+function updateBlackout(now){
+  if(now < blackout.until) return;
+  if(blackout.phase === 'dark'){
+    blackout.phase = 'stalk';
+    blackout.until = now + randRange(BLACKOUT_STALK_MS);
+    playSound('step_heavy', { pan: SIDE_PAN[blackout.side] });
+    captionSound('Footsteps, close', blackout.side);
+  } else if(blackout.phase === 'stalk'){
+    blackout.phase = 'attack';
+    blackout.until = now + randRange(BLACKOUT_ATTACK_MS);
+  } else {
+    anims[blackout.attacker].inOffice = true;
+    triggerEntry(blackout.attacker);
+  }
+}
+
+function drawBlackout(now){
+  ctx.fillStyle = 'rgba(0,0,0,0.9)'; ctx.fillRect(0,0,W,H);
+  if(blackout.phase !== 'stalk') return;
+  // flickering face in the attacker's doorway
+  if(!a11y('photosensitive') && Math.floor(now / 180) % 3 === 0) return;
+  const sprite = assets.imgs[blackout.attacker + '_watch'] || assets.imgs[blackout.attacker + '_idle'];
+  const doorway = officeRect(OFFICE_LAYOUT.doorways[blackout.side]);
+  const doorX = doorway.x + doorway.w / 2;
+  if(sprite){
+    const scale = (H*0.5) / sprite.naturalHeight;
+    const dw = Math.floor(sprite.naturalWidth * scale), dh = Math.floor(sprite.naturalHeight * scale);
+    ctx.globalAlpha = 0.35;
+    ctx.drawImage(sprite, Math.floor(doorX - dw/2), Math.floor(BASELINE_Y - dh), dw, dh);
+    ctx.globalAlpha = 1;
+  } else {
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.fillRect(doorX - 20, H*0.40, 8, 8); ctx.fillRect(doorX + 12, H*0.40, 8, 8);
+  }
+}
+
+function drawPowerHud(x, y){
+  ctx.fillStyle = a11y('highContrast') ? '#fff' : '#ddd'; ctx.font = '18px monospace';
+  ctx.fillText('Power: ' + Math.ceil(power) + '%', x, y);
+  ctx.fillText('Usage:', x, y + 24);
+  const usage = powerOut ? 0 : powerUsage();
+  for(let i=0;i<MAX_USAGE;i++){
+    ctx.fillStyle = i >= usage ? '#333' : (i < 2 ? '#3c3' : (i < 3 ? '#dd3' : '#d33'));
+    ctx.fillRect(x + 80 + i*22, y + 10, 18, 16);
+  }
+}
 
 /* ---------- AI movement + entry rules ---------- */
+function watchedCams(){
+  if(!monitorOpen || camsDown(clock.t)) return [];
+  const ids = monitorSingle === null ? camPositions.map(p=> p.id) : [monitorSingle];
+  return ids.filter(id=> !camDisabled(id, clock.t));
+}
+
+function aiEnv(){
+  return { doorClosed: (side)=> side === 'left' ? doorLeftClosed : doorRightClosed, watchedCams: watchedCams() };
+}
 function updateAI(now){
-  Object.values(anims).forEach(a=>{
-    a.active = (night >= animDefs[a.name].activeFrom);
-    if(!a.active) return;
-    if(a.inOffice) return;
-    const interval = Math.max(700, a.baseInterval * (NIGHT_SPEED[night] || 1.0));
-    if(now - a.lastMove > interval){
-      const arr = animDefs[a.name].allowed;
-      a.cam = arr[Math.floor(Math.random()*arr.length)];
-      a.lastMove = now;
-      a.lastSeen = now;
-      if(assets.audios.step_heavy) try{ assets.audios.step_heavy.currentTime=0, assets.audios.step_heavy.play(); }catch(e){}
-    }
-    if(monitorOpen){
-      if(monitorSingle === null) a.lastSeen = now;
-      else if(a.cam === monitorSingle) a.lastSeen = now;
-    }
-    // Rust: if unseen long, go to office
-    if(a.name === 'rust'){
-      if(now - a.lastSeen > 30000 && !a.inOffice){ a.inOffice = true; triggerEntry(a.name); }
-    }
-    // entry rules per your earlier design (examples)
-    if(a.name === 'vale' && a.cam === 3 && !doorRightClosed){ a.inOffice = true; triggerEntry('vale'); }
-    if(a.name === 'patch' && a.cam === 6 && !doorLeftClosed){ a.inOffice = true; triggerEntry('patch'); }
-    if(a.name === 'lulla' && a.cam === 3 && !doorRightClosed){
-      if(now - a.lastMove < interval * 0.45){ a.inOffice = true; triggerEntry('lulla'); }
-    }
-  });
+  if(gameState !== STATE.PLAYING || powerOut) return;
+  const events = stepAI(aiWorld, now, aiEnv());
+  updateWatchTimers(now);
+  for(const e of events){
+    if(!handleAIEvent(e, now)) break;
+  }
+}
+/* false once someone got in (the night is over) */
+function handleAIEvent(e, now){
+  if(e.type === 'enter'){ triggerEntry(e.name); return false; }
+  if(e.type === 'retreat') nightStats.nearMisses++;
+  maybeDisruptCam(e, now);
+  markCamStatic(camOfNode(aiWorld.graph, e.from), now);
+  markCamStatic(camOfNode(aiWorld.graph, e.to), now);
+  // footsteps on every move, from the side they're on; a shut door sends them back the way they came
+  playSound('step_heavy', { pan: nodePan(e.to), volume: nodeVolume(e.to) });
+  captionSound(e.type === 'retreat' ? 'Footsteps retreat' : (nodeVolume(e.to) === 1 ? 'Footsteps, close' : 'Footsteps'),
+    sideOfNode(aiWorld.graph, e.to));
+  return true;
 }
 
 function triggerEntry(name){
+  if(gameState !== STATE.PLAYING) return;
   console.log('ENTRY:', name);
-  const sKey = 'jumpscare_' + name;
-  if(assets.audios[sKey]) try{ assets.audios[sKey].currentTime=0, assets.audios[sKey].play(); }catch(e){}
-  setTimeout(()=>{ if(anims[name]) { anims[name].inOffice = false; anims[name].lastMove = Date.now(); } }, 2200);
+  jumpscareBy = name;
+  finishRecording('jumpscare');
+  finishNightStats('jumpscare');
+  stopPhoneCall();
+  monitorOpen = false; monitorSingle = null;
+  setState(STATE.JUMPSCARE);
+  soundCaptions = [];
+  announce(name.toUpperCase() + ' got in');
+  jumpscareSoundPending = a11y('jumpscare') !== 'full';
+  if(!jumpscareSoundPending) playJumpscareSound();
+}
+let jumpscareSoundPending = false;   // reduced / minimal hold the sound until the warning is over
+function playJumpscareSound(){
+  jumpscareSoundPending = false;
+  playSound('jumpscare_' + jumpscareBy, { volume: JUMPSCARE_VOLUME[a11y('jumpscare')] });
 }
 
-/* ---------- main loop ---------- */
-function loop(ts){
-  ctx.clearRect(0,0,W,H);
+/* ---------- state screens ---------- */
+function drawCenteredText(text, y, size, color){
+  ctx.fillStyle = color || '#ddd';
+  ctx.font = size + 'px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(text, W/2, y);
+  ctx.textAlign = 'left';
+}
 
-  if(inMenu){
-    // dimmed background showing office (if available) while menu is open
-    const bImg = assets.imgs[OFFICE_KEY];
-    if(bImg){ ctx.globalAlpha = 0.22; ctx.drawImage(bImg, 0, 0, W, H); ctx.globalAlpha = 1; }
-    // keep menu visible via DOM
+function drawNightIntro(elapsed){
+  ctx.fillStyle = '#000'; ctx.fillRect(0,0,W,H);
+  // fade in, hold, fade out
+  const t = elapsed / INTRO_MS;
+  ctx.globalAlpha = Math.max(0, Math.min(1, t < 0.2 ? t/0.2 : (t > 0.8 ? (1-t)/0.2 : 1)));
+  drawCenteredText('12:00 AM', H*0.46, 56, '#eee');
+  drawCenteredText(nightLabel(), H*0.54, 32, '#aaa');
+  ctx.globalAlpha = 1;
+}
+
+function drawJumpscare(elapsed){
+  ctx.fillStyle = '#000'; ctx.fillRect(0,0,W,H);
+  const level = a11y('jumpscare');
+  const who = (jumpscareBy || '?').toUpperCase();
+  if(level !== 'full' && elapsed < JUMPSCARE_WARN_MS){
+    drawCenteredText('⚠ JUMPSCARE', H*0.48, 40, '#fc3');
+    drawCenteredText(who, H*0.55, 24, '#aaa');
+    return;
+  }
+  if(level === 'minimal'){
+    drawCenteredText(who + ' got in', H*0.5, 40, '#ddd');
+    return;
+  }
+  const sprite = jumpscareBy ? assets.imgs[jumpscareBy + '_jumpscare'] : null;
+  // lunge towards the camera while shaking; reduced fades in without shaking
+  const grow = 1 + Math.min(1, elapsed / 300) * (level === 'full' ? 0.25 : 0.08);
+  const shake = level !== 'full' || a11y('photosensitive') ? 0 : (elapsed < JUMPSCARE_MS * 0.7 ? 18 : 4);
+  const ox = (Math.random()*2-1) * shake, oy = (Math.random()*2-1) * shake;
+  if(level === 'reduced') ctx.globalAlpha = Math.min(1, (elapsed - JUMPSCARE_WARN_MS) / 400);
+  if(sprite){
+    const scale = (H * grow) / sprite.naturalHeight;
+    const dw = Math.floor(sprite.naturalWidth * scale), dh = Math.floor(sprite.naturalHeight * scale);
+    ctx.drawImage(sprite, Math.floor((W - dw)/2 + ox), Math.floor((H - dh)/2 + oy), dw, dh);
   } else {
-    if(!monitorOpen) drawOfficeView();
-    else { if(monitorSingle !== null) drawSingleCam(monitorSingle); else drawMonitorGrid(); }
+    const def = jumpscareBy ? animDefs[jumpscareBy] : null;
+    ctx.fillStyle = (def && def.color) || '#fff';
+    ctx.fillRect(W*0.2 + ox, H*0.15 + oy, W*0.6, H*0.75);
+    drawCenteredText(who, H*0.12, 48, '#fff');
   }
+  ctx.globalAlpha = 1;
+}
+
+function drawNightComplete(elapsed){
+  ctx.fillStyle = '#000'; ctx.fillRect(0,0,W,H);
+  // "5 AM" rolls over to "6 AM" like a clock flip
+  const flip = Math.min(1, elapsed / 1200);
+  ctx.save();
+  ctx.beginPath(); ctx.rect(0, H*0.38, W, H*0.12); ctx.clip();
+  drawCenteredText('5', H*0.48 - flip*H*0.12, 80, '#eee');
+  drawCenteredText('6', H*0.60 - flip*H*0.12, 80, '#eee');
+  ctx.restore();
+  drawCenteredText('AM', H*0.56, 32, '#aaa');
+  if(elapsed > 1600) drawCenteredText(nightLabel() + ' complete', H*0.66, 24, '#888');
+}
+
+/* ---------- phone calls ---------- */
+// night -> { audio, subtitles, delayMs }; nights without an entry have no call
+const PHONE_CONFIG_PATH = 'assets/phone/calls.json';
+const PHONE_DEFAULT_DELAY_MS = 1500;
+let phoneConfig = null;
+// state: 'none' | 'pending' (waiting for delay) | 'playing' | 'done'
+const phone = { state:'none', buffer:null, handle:null, cues:[], delayMs:0, startedAt:0, duration:0 };
+
+async function loadPhoneConfig(){
+  if(phoneConfig) return phoneConfig;
+  try{
+    const res = await fetch(PHONE_CONFIG_PATH);
+    if(!res.ok) throw new Error('HTTP ' + res.status);
+    phoneConfig = await res.json();
+  }catch(e){
+    console.warn('Phone config unavailable:', PHONE_CONFIG_PATH, e.message);
+    phoneConfig = {};
+  }
+  return phoneConfig;
+}
 
-  updateAI(Date.now());
-  updateCassidy(Date.now());
-  drawCassidyOverlay();
+/* "00:01.500" / "00:00:01.500" -> seconds */
+function parseVttTime(t){
+  const parts = t.trim().split(':').map(Number);
+  return parts.reduce((acc, v)=> acc * 60 + v, 0);
+}
+function parseVtt(text){
+  const cues = [];
+  text.replace(/\r/g, '').split(/\n\n+/).forEach(block=>{
+    const lines = block.split('\n').filter(Boolean);
+    const i = lines.findIndex(l=> l.includes('-->'));
+    if(i < 0) return;
+    const [start, end] = lines[i].split('-->').map(x=> parseVttTime(x.split(' ').filter(Boolean)[0] || x));
+    const body = lines.slice(i + 1).join('\n').replace(/<[^>]+>/g, '');
+    if(body) cues.push({ start, end, text: body });
+  });
+  return cues;
+}
+async function loadCues(path){
+  if(!path) return [];
+  try{
+    const res = await fetch(path);
+    if(!res.ok) throw new Error('HTTP ' + res.status);
+    if(path.endsWith('.json')){
+      const data = await res.json();
+      return (Array.isArray(data) ? data : []).filter(c=> typeof c.text === 'string' && c.end > c.start);
+    }
+    return parseVtt(await res.text());
+  }catch(e){
+    console.warn('Subtitles unavailable:', path, e.message);
+    return [];
+  }
+}
+
+async function preparePhoneCall(n){
+  stopPhoneCall();
+  const cfg = (await loadPhoneConfig())[String(n)];
+  if(gameMode !== 'story' || !cfg) return;
+  phone.cues = await loadCues(cfg.subtitles);
+  phone.buffer = cfg.audio ? await loadAudioKey('phone_call', cfg.audio) : null;
+  if(phone.buffer) assets.audios.phone_call = phone.buffer;
+  phone.delayMs = cfg.delayMs === undefined ? PHONE_DEFAULT_DELAY_MS : cfg.delayMs;
+  phone.duration = phone.cues.reduce((m, c)=> Math.max(m, c.end), 0) * 1000;
+  phone.state = (phone.buffer || phone.cues.length) ? 'pending' : 'none';
+}
+
+function stopPhoneCall(){
+  if(phone.handle){ phone.handle.source.onended = null; phone.handle.stop(); }
+  if(phone.state === 'playing') duckBus('ambience', false);
+  delete assets.audios.phone_call;
+  phone.state = 'none'; phone.buffer = null; phone.handle = null; phone.cues = [];
+  UI.subtitlesText.innerText = '';
+}
+function endPhoneCall(){
+  duckBus('ambience', false);
+  phone.state = 'done';
+  phone.handle = null;
+}
+function muteCall(){
+  if(phone.state !== 'pending' && phone.state !== 'playing') return;
+  stopPhoneCall();
+  phone.state = 'done';
+}
+
+/* seconds into the call: the audio clock is the source of truth when it's playing
+   (it stops with the context while paused, just like the simulation clock) */
+function phonePosition(now){
+  if(phone.handle) return mixer.ctx.currentTime - phone.handle.startedAt;
+  return (now - phone.startedAt) / 1000;
+}
+
+function updatePhone(now){
+  if(phone.state === 'pending' && now - playStartedAt >= phone.delayMs){
+    phone.state = 'playing';
+    phone.startedAt = now;
+    duckBus('ambience', true);
+    phone.handle = playSound('phone_call', { bus:'voice' });
+    if(phone.handle) phone.handle.source.onended = ()=>{ if(phone.state === 'playing') endPhoneCall(); };
+  } else if(phone.state === 'playing' && !phone.handle && now - phone.startedAt > phone.duration){
+    endPhoneCall();
+  }
+  // subtitles are mirrored into an aria-live region for screen readers
+  const cue = currentCue(now);
+  const text = cue && subtitlesEnabled() ? cue.text : '';
+  if(UI.subtitlesText.innerText !== text) UI.subtitlesText.innerText = text;
+}
+
+function currentCue(now){
+  if(phone.state !== 'playing') return null;
+  const t = phonePosition(now);
+  return phone.cues.find(c=> t >= c.start && t < c.end) || null;
+}
+function subtitlesEnabled(){ return saveData.settings.subtitles !== false; }
+/* the Subtitles setting only means something once some call ships a cue file */
+function phoneHasSubtitles(){ return !!phoneConfig && Object.keys(phoneConfig).some(n=> phoneConfig[n] && phoneConfig[n].subtitles); }
+
+/* ---------- accessibility ---------- */
+// settings.a11y overrides; photosensitive starts on for players who ask the OS for reduced motion
+const A11Y_DEFAULTS = {
+  photosensitive: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+  jumpscare: 'full',
+  captions: false,
+  highContrast: false
+};
+const JUMPSCARE_LEVELS = ['full','reduced','minimal'];
+const JUMPSCARE_LABELS = { full:'Full', reduced:'Reduced', minimal:'Minimal' };
+const JUMPSCARE_VOLUME = { full:1, reduced:0.5, minimal:0.2 };
+const JUMPSCARE_WARN_MS = 500;   // reduced / minimal: warning card before the scare (and its sound)
+const CAPTION_MS = 2500;
+const MAX_CAPTIONS = 4;
+
+function a11y(name){
+  const saved = saveData.settings.a11y;
+  const v = saved && saved[name];
+  if(name === 'jumpscare') return JUMPSCARE_LEVELS.includes(v) ? v : A11Y_DEFAULTS.jumpscare;
+  return typeof v === 'boolean' ? v : A11Y_DEFAULTS[name];
+}
+function setA11y(name, v){
+  saveData.settings.a11y = Object.assign({}, saveData.settings.a11y, { [name]: v });
+  writeSave();
+  applyA11y();
+}
+function applyA11y(){
+  document.body.classList.toggle('high-contrast', a11y('highContrast'));
+}
+
+/* screen readers: one polite live region; cleared first so a repeated message is read again */
+function announce(text){
+  UI.srAnnounce.textContent = '';
+  setTimeout(()=>{ UI.srAnnounce.textContent = text; }, 30);
+}
+
+/* on-screen captions for sounds that matter; side: 'left' | 'right' | null */
+let soundCaptions = [];   // [{ text, side, until }] in clock.t
+function captionSound(text, side){
+  if(!a11y('captions')) return;
+  soundCaptions.push({ text, side: side || null, until: clock.t + CAPTION_MS });
+  if(soundCaptions.length > MAX_CAPTIONS) soundCaptions.shift();
+}
+function drawSoundCaptions(now){
+  soundCaptions = soundCaptions.filter(c=> c.until > now);
+  if(!soundCaptions.length) return;
+  const hc = a11y('highContrast');
+  ctx.font = '20px monospace'; ctx.textAlign = 'center';
+  soundCaptions.forEach((c, i)=>{
+    const y = H - 70 - (soundCaptions.length - 1 - i) * 32;
+    const text = (c.side === 'left' ? '◀ ' : '') + c.text + (c.side === 'right' ? ' ▶' : '');
+    const w = ctx.measureText(text).width + 24;
+    ctx.fillStyle = hc ? '#000' : 'rgba(0,0,0,0.7)'; ctx.fillRect(W/2 - w/2, y - 22, w, 30);
+    if(hc){ ctx.strokeStyle = '#fff'; ctx.strokeRect(W/2 - w/2, y - 22, w, 30); }
+    ctx.fillStyle = hc ? '#fff' : '#ddd'; ctx.fillText(text, W/2, y);
+    // edge marker on the side the sound came from, fading out
+    if(!c.side) return;
+    ctx.globalAlpha = Math.min(1, (c.until - now) / 600) * (hc ? 0.9 : 0.5);
+    ctx.fillStyle = hc ? '#ff0' : '#ddd';
+    ctx.fillRect(c.side === 'left' ? 0 : W - 10, H*0.3, 10, H*0.4);
+    ctx.globalAlpha = 1;
+  });
+  ctx.textAlign = 'left';
+}
+
+/* "MUTE CALL" button, top-right like the classic */
+const MUTE_BTN = { x: W - 196, y: 16, w: 180, h: 40 };   // x follows W in resizeCanvas()
+function callActive(){ return phone.state === 'pending' || phone.state === 'playing'; }
+function drawPhoneUI(now){
+  if(!callActive()) return;
+  ctx.fillStyle = 'rgba(0,0,0,0.6)'; ctx.fillRect(MUTE_BTN.x, MUTE_BTN.y, MUTE_BTN.w, MUTE_BTN.h);
+  ctx.strokeStyle = '#ddd'; ctx.strokeRect(MUTE_BTN.x + 1, MUTE_BTN.y + 1, MUTE_BTN.w - 2, MUTE_BTN.h - 2);
+  ctx.fillStyle = '#ddd'; ctx.font = '18px monospace'; ctx.fillText('MUTE CALL', MUTE_BTN.x + 40, MUTE_BTN.y + 27);
+
+  const cue = currentCue(now);
+  if(!cue || !subtitlesEnabled()) return;
+  ctx.font = '22px monospace';
+  const lines = wrapText(cue.text, W * 0.8);
+  const lh = 28, boxH = lines.length * lh + 16, boxY = H * 0.76 - boxH;
+  ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(W * 0.08, boxY, W * 0.84, boxH);
+  lines.forEach((l, i)=> drawCenteredText(l, boxY + 30 + i * lh, 22, '#f2f2f2'));
+}
+function wrapText(text, maxW){
+  const out = [];
+  text.split('\n').forEach(para=>{
+    let line = '';
+    para.split(' ').forEach(word=>{
+      const test = line ? line + ' ' + word : word;
+      if(ctx.measureText(test).width > maxW && line){ out.push(line); line = word; }
+      else line = test;
+    });
+    if(line) out.push(line);
+  });
+  return out;
+}
+
+/* ---------- pause ---------- */
+function pauseGame(){
+  if(gameState !== STATE.PLAYING) return;
+  pausedFrom = { state: gameState, since: stateSince };
+  gameState = STATE.PAUSED;
+  panHeld.left = panHeld.right = false;   // the key-up may never arrive (blur)
+  panPointer = 0;
+  if(mixer.ctx) mixer.ctx.suspend().catch(()=>{});
+  UI.pauseOverlay.classList.remove('overlay-hidden');
+  renderNavFocus();
+}
+function resumeGame(){
+  if(gameState !== STATE.PAUSED) return;
+  UI.pauseOverlay.classList.add('overlay-hidden');
+  gameState = pausedFrom.state; stateSince = pausedFrom.since;
+  pausedFrom = null;
+  clock.lastTs = null; // don't count the time spent paused
+  if(mixer.ctx) mixer.ctx.resume().catch(()=>{});
+}
+document.getElementById('pauseOverlay').addEventListener('click', (ev)=>{
+  const tgt = ev.target.closest('.menuRow');
+  if(!tgt || gameState !== STATE.PAUSED) return;
+  if(tgt.dataset.option === 'resume') resumeGame();
+  else {
+    UI.pauseOverlay.classList.add('overlay-hidden');
+    pausedFrom = null;
+    showMenu();
+  }
+});
+window.addEventListener('blur', pauseGame);
+document.addEventListener('visibilitychange', ()=>{ if(document.hidden) pauseGame(); });
+
+/* ---------- main loop ---------- */
+/* one fixed simulation step */
+function update(dt){
+  if(gameState === STATE.PAUSED || gameState === STATE.MENU || gameState === STATE.GAMEOVER || gameState === STATE.RESULTS) return;
+  if(replay && gameState === STATE.PLAYING) applyReplayActions();
+  clock.t += dt;
+  const now = clock.t;
+  if(gameState === STATE.PLAYING){
+    updateOffice(dt);
+    updateNightStats(dt);
+    updatePower(now, dt);
+    updateAI(now);
+    updateCassidy(now, dt);
+    updatePhone(now);
+    updateNightClock(now);
+  }
+  updateState(now);
+}
+
+function render(){
+  const now = clock.t;
+  const elapsed = now - stateSince;
+  ctx.clearRect(0,0,W,H);
+
+  switch(gameState){
+    case STATE.MENU:
+    case STATE.GAMEOVER:
+    case STATE.RESULTS: {
+      // dimmed background showing office (if available) while a DOM overlay is open
+      // cropped to cover the screen, never stretched
+      const bImg = assets.imgs[OFFICE_KEY];
+      if(bImg){
+        const k = Math.max(W / bImg.naturalWidth, H / bImg.naturalHeight);
+        const bw = bImg.naturalWidth * k, bh = bImg.naturalHeight * k;
+        ctx.globalAlpha = 0.22; ctx.drawImage(bImg, (W - bw) / 2, (H - bh) / 2, bw, bh); ctx.globalAlpha = 1;
+      }
+      break;
+    }
+    case STATE.LOADING:
+      ctx.fillStyle = '#000'; ctx.fillRect(0,0,W,H);
+      break;
+    case STATE.INTRO:
+      drawNightIntro(elapsed);
+      break;
+    case STATE.PLAYING:
+    case STATE.PAUSED:
+      if(!monitorOpen) drawOfficeView();
+      else if(camsDown(now)) drawCamsDown(0, 0, W, H);
+      else { if(monitorSingle !== null) drawSingleCam(monitorSingle); else drawMonitorGrid(); }
+      if(powerOut && blackout) drawBlackout(now);
+      else drawCassidyOverlay(now);
+      break;
+    case STATE.JUMPSCARE:
+      drawJumpscare(elapsed);
+      break;
+    case STATE.COMPLETE:
+      drawNightComplete(elapsed);
+      break;
+  }
   drawScanlines();
 
   // hud
-  ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(8,8,260,64);
-  ctx.fillStyle = '#ddd'; ctx.font = '18px monospace'; ctx.fillText('Night: ' + night, 16, 30);
-  ctx.fillText((hour===0?'12:00 AM':(hour + ':00 AM')), 16, 54);
+  if(gameState === STATE.PLAYING || gameState === STATE.PAUSED){
+    drawSoundCaptions(now);
+    ctx.fillStyle = a11y('highContrast') ? '#000' : 'rgba(0,0,0,0.35)'; ctx.fillRect(8,8,260,116);
+    ctx.fillStyle = a11y('highContrast') ? '#fff' : '#ddd'; ctx.font = '18px monospace'; ctx.fillText(gameMode === 'custom' ? 'Custom Night' : ('Night: ' + night), 16, 30);
+    ctx.fillText(hourLabel(), 16, 54);
+    drawPowerHud(16, 84);
+    drawPhoneUI(now);
+    if(replay) drawCenteredText('REPLAY x' + REPLAY_SPEEDS[replay.speed] + '  (F / tap: speed)', H - 40, 16, '#e55');
+  }
+}
+
+function loop(ts){
+  // real frame delta -> fixed simulation steps (clamped so a stalled tab can't fast-forward)
+  const frame = clock.lastTs === null ? 0 : Math.min(MAX_FRAME_MS, ts - clock.lastTs);
+  clock.lastTs = ts;
+  renderDebugPanel(ts);
+  updateToasts(ts);
+  clock.acc += frame * clock.scale;
+  let steps = 0;
+  while(clock.acc >= STEP_MS && steps < MAX_STEPS_PER_FRAME){
+    update(STEP_MS);
+    clock.acc -= STEP_MS;
+    steps++;
+  }
+  if(steps === MAX_STEPS_PER_FRAME) clock.acc = 0;
 
+  pollGamepads();
+  render();
   requestAnimationFrame(loop);
 }
 
-/* ---------- input handling (menu + gameplay) ---------- */
-function getCanvasCoords(clientX, clientY){
-  const rect = CANVAS.getBoundingClientRect();
-  const scaleX = CANVAS.width / rect.width;
-  const scaleY = CANVAS.height / rect.height;
-  return { x: Math.floor((clientX - rect.left) * scaleX), y: Math.floor((clientY - rect.top) * scaleY) };
+/* ---------- input actions ---------- */
+// every device maps onto these; gameplay actions only fire while PLAYING,
+// menu actions drive whichever DOM overlay is on top
+const GAME_ACTIONS = ['toggleLeftDoor','toggleRightDoor','toggleLeftLight','toggleRightLight','panLeft','panRight','toggleMonitor','cam1','cam2','cam3','cam4','cam5','cam6','cam7','camGrid','camPrev','camNext','lure','muteCall','pause','fullscreen','replaySpeed'];
+const MENU_ACTIONS = ['menuUp','menuDown','menuLeft','menuRight','menuConfirm','menuBack'];
+const ACTION_LABELS = {
+  toggleLeftDoor:'Left door', toggleRightDoor:'Right door', toggleLeftLight:'Left light', toggleRightLight:'Right light',
+  panLeft:'Look left', panRight:'Look right', toggleMonitor:'Monitor',
+  cam1:'CAM 1', cam2:'CAM 2', cam3:'CAM 3', cam4:'CAM 4', cam5:'CAM 5', cam6:'CAM 6', cam7:'CAM 7',
+  camGrid:'All cams', camPrev:'Previous cam', camNext:'Next cam', lure:'Audio lure', muteCall:'Mute call', pause:'Pause', fullscreen:'Fullscreen', replaySpeed:'Replay speed',
+  menuUp:'Menu up', menuDown:'Menu down', menuLeft:'Menu left', menuRight:'Menu right', menuConfirm:'Confirm', menuBack:'Back'
+};
+// keys: KeyboardEvent.code; pad: standard-mapping Gamepad button index
+const DEFAULT_BINDINGS = {
+  keys: {
+    toggleLeftDoor:['KeyA'], toggleRightDoor:['KeyD'], toggleLeftLight:['KeyZ'], toggleRightLight:['KeyC'],
+    panLeft:['ArrowLeft'], panRight:['ArrowRight'], toggleMonitor:['KeyS','Space'],
+    cam1:['Digit1'], cam2:['Digit2'], cam3:['Digit3'], cam4:['Digit4'], cam5:['Digit5'], cam6:['Digit6'], cam7:['Digit7'],
+    camGrid:['Digit0'], camPrev:['KeyQ'], camNext:['KeyE'], lure:['KeyL'], muteCall:['KeyM'], pause:['Escape','KeyP'], fullscreen:['KeyV'], replaySpeed:['KeyF'],
+    menuUp:['ArrowUp','KeyW'], menuDown:['ArrowDown','KeyS'], menuLeft:['ArrowLeft','KeyA'], menuRight:['ArrowRight','KeyD'],
+    menuConfirm:['Enter','Space'], menuBack:['Escape','Backspace']
+  },
+  pad: {
+    toggleLeftDoor:[4], toggleRightDoor:[5], toggleLeftLight:[10], toggleRightLight:[11],
+    panLeft:[6], panRight:[7], toggleMonitor:[3],
+    camGrid:[2], camPrev:[14], camNext:[15], muteCall:[8], pause:[9],
+    menuUp:[12], menuDown:[13], menuLeft:[14], menuRight:[15], menuConfirm:[0], menuBack:[1]
+  }
+};
+const PAD_BUTTON_NAMES = ['A','B','X','Y','LB','RB','LT','RT','Back','Start','LS','RS','D-Up','D-Down','D-Left','D-Right'];
+let bindingCapture = null;   // action waiting for a key / button in the settings screen
+
+/* saved overrides (settings.bindings) win over the defaults, per device and action */
+function bindingsFor(device, action){
+  const saved = saveData.settings.bindings && saveData.settings.bindings[device];
+  if(saved && Array.isArray(saved[action])) return saved[action];
+  return DEFAULT_BINDINGS[device][action] || [];
+}
+function actionsFor(device, input){
+  const pool = gameState === STATE.PLAYING ? GAME_ACTIONS : MENU_ACTIONS;
+  return pool.filter(a=> bindingsFor(device, a).includes(input));
 }
 
-function handleTap(x,y){
-  if(inMenu){
-    // tap opens menu DOM if not shown; menu DOM handles option clicks
-    if(!audioUnlocked){ audioUnlocked = true; } // allow audio on first touch
-    UI.menuOverlay.classList.remove('overlay-hidden');
-    UI.startOverlay.classList.add('overlay-hidden');
-    renderMenuCursor();
-    return;
+/* bind input to action, unbinding it from any other action of the same group */
+function rebind(device, action, input){
+  const all = saveData.settings.bindings || (saveData.settings.bindings = {});
+  all[device] = all[device] || {};
+  const group = GAME_ACTIONS.includes(action) ? GAME_ACTIONS : MENU_ACTIONS;
+  group.forEach(a=>{
+    if(a !== action && bindingsFor(device, a).includes(input)) all[device][a] = bindingsFor(device, a).filter(i=> i !== input);
+  });
+  all[device][action] = [input];
+  writeSave();
+}
+function resetBindings(){
+  delete saveData.settings.bindings;
+  writeSave();
+}
+
+function keyLabel(code){
+  if(code.startsWith('Key')) return code.slice(3);
+  if(code.startsWith('Digit')) return code.slice(5);
+  return { ArrowUp:'↑', ArrowDown:'↓', ArrowLeft:'←', ArrowRight:'→', Space:'Space', Escape:'Esc' }[code] || code;
+}
+function padLabel(btn){ return PAD_BUTTON_NAMES[btn] || ('Pad ' + btn); }
+
+/* single entry point for player intent */
+function performAction(action){
+  if(MENU_ACTIONS.includes(action)){ navigateOverlay(action); return; }
+  if(action === 'pause'){ pauseGame(); return; }
+  if(action === 'fullscreen'){ toggleFullscreen(); return; }
+  if(replay){ if(action === 'replaySpeed') cycleReplaySpeed(); return; }   // the recording drives the night
+  if(gameState !== STATE.PLAYING) return;           // input frozen outside play
+  recordAction(action);
+  applyGameAction(action);
+}
+function applyGameAction(action){
+  if(action === 'muteCall'){ muteCall(); return; }
+  if(action === 'panLeft' || action === 'panRight'){ panHeld[action === 'panLeft' ? 'left' : 'right'] = true; return; }
+  if(powerOut) return;                               // no doors or monitor without power
+  if(action === 'toggleLeftDoor') toggleDoor('left');
+  else if(action === 'toggleRightDoor') toggleDoor('right');
+  else if(action === 'toggleLeftLight') toggleLight('left');
+  else if(action === 'toggleRightLight') toggleLight('right');
+  else if(action === 'toggleMonitor') toggleMonitor();
+  else if(action === 'camGrid') selectCam(null);
+  else if(action === 'lure') playLure();
+  else if(action === 'camPrev' || action === 'camNext'){
+    const ids = camPositions.map(p=> p.id);
+    const i = monitorSingle === null ? (action === 'camNext' ? -1 : 0) : ids.indexOf(monitorSingle);
+    selectCam(ids[(i + (action === 'camNext' ? 1 : -1) + ids.length) % ids.length]);
   }
-  if(!started){ // if not started (menu suppressed), start new game
-    startNewFromGesture();
+  else if(action.startsWith('cam')) selectCam(Number(action.slice(3)));
+}
+
+function toggleDoor(side){
+  if(side === 'left'){ doorLeftClosed = !doorLeftClosed; playSound(doorLeftClosed ? 'door_close' : 'door_open', { pan: SIDE_PAN.left }); }
+  else { doorRightClosed = !doorRightClosed; playSound(doorRightClosed ? 'door_close' : 'door_open', { pan: SIDE_PAN.right }); }
+  captionSound(doorClosed(side) ? 'Door slams shut' : 'Door opens', side);
+}
+/* held actions (panning) end when their key / button comes back up */
+function releaseAction(action){
+  if(action === 'panLeft') panHeld.left = false;
+  else if(action === 'panRight') panHeld.right = false;
+}
+function toggleLight(side){
+  const on = !lightOn(side);
+  lightLeftOn = on && side === 'left';
+  lightRightOn = on && side === 'right';
+  playSound('cam_switch', { pan: SIDE_PAN[side], volume:0.4 });
+}
+function toggleMonitor(){
+  monitorOpen = !monitorOpen;
+  if(monitorOpen) playSound('crt_open');
+  else { playSound('crt_close'); monitorSingle=null; }
+}
+/* id null = back to the grid; picking a cam with the monitor down raises it first */
+function selectCam(id){
+  if(!monitorOpen) toggleMonitor();
+  if(monitorSingle === id) return;
+  monitorSingle = id;
+  nightStats.camSwitches++;
+  playSound('cam_switch');
+}
+
+/* ---------- night stats + achievements ---------- */
+let nightStats = newNightStats();
+function newNightStats(){
+  return { powerUsed:0, doorMs:{ left:0, right:0 }, doorsUsed:{ left:false, right:false }, monitorMs:0, camSwitches:0,
+    nearMisses:0, shortOuts:0, reached:[], outcome:null, survivedMs:0, debugged:false };
+}
+function updateNightStats(dt){
+  if(doorLeftClosed){ nightStats.doorMs.left += dt; nightStats.doorsUsed.left = true; }
+  if(doorRightClosed){ nightStats.doorMs.right += dt; nightStats.doorsUsed.right = true; }
+  if(monitorOpen) nightStats.monitorMs += dt;
+}
+
+/* night over: fold it into the lifetime stats and check achievements (not for replays) */
+function finishNightStats(outcome){
+  if(replay || nightStats.outcome) return;
+  const ns = nightStats;
+  ns.outcome = outcome;
+  ns.survivedMs = outcome === 'complete' ? WIN_HOUR * HOUR_MS : clock.t - playStartedAt;
+  ns.powerUsed = 100 - power;
+  if(jumpscareBy) ns.reached.push(jumpscareBy);
+  const st = saveData.stats;
+  st.nightsPlayed++;
+  if(outcome === 'complete') st.nightsWon++;
+  st.powerUsed += ns.powerUsed;
+  st.doorMs += ns.doorMs.left + ns.doorMs.right;
+  st.monitorMs += ns.monitorMs;
+  st.camSwitches += ns.camSwitches;
+  st.nearMisses += ns.nearMisses;
+  ns.reached.forEach(name=> st.caughtBy[name] = (st.caughtBy[name] || 0) + 1);
+  checkAchievements();
+  writeSave();
+}
+
+// check(ns) runs when a night ends; ns = nightStats (outcome, survivedMs, ...)
+function nightWon(ns){ return ns.outcome === 'complete'; }
+const ACHIEVEMENTS = [
+  { id:'first-shift',   name:'First Shift',       desc:'Survive Night 1',                          check:(ns)=> nightWon(ns) && gameMode === 'story' && night === 1 },
+  { id:'left-alone',    name:'Left Alone',        desc:'Beat Night 3 without closing the left door', check:(ns)=> nightWon(ns) && gameMode === 'story' && night === 3 && !ns.doorsUsed.left },
+  { id:'fumes',         name:'Running on Fumes',  desc:'Survive a night with under 5% power',      check:(ns)=> nightWon(ns) && power < 5 },
+  { id:'blind-faith',   name:'Blind Faith',       desc:'Survive Night 2+ with under 30 s on the monitor', check:(ns)=> nightWon(ns) && night >= 2 && ns.monitorMs < 30000 },
+  { id:'close-calls',   name:'Close Calls',       desc:'5 near misses in one night',               check:(ns)=> ns.nearMisses >= 5 },
+  { id:'static-shock',  name:'Static Shock',      desc:'Stare at Cassidy until the monitor dies',  check:(ns)=> ns.shortOuts > 0 },
+  { id:'five-nights',   name:'Five Nights',       desc:'Complete Night 5',                         check:(ns)=> nightWon(ns) && gameMode === 'story' && night === 5 },
+  { id:'four-twenty',   name:'4/20',              desc:'Beat the 4/20 Custom Night',               check:(ns)=> nightWon(ns) && gameMode === 'custom' && (matchingPreset(customLevels) || {}).id === '4-20' },
+  { id:'regular',       name:'Regular',           desc:'Survive 10 nights in total',               check:()=> saveData.stats.nightsWon >= 10 },
+  { id:'met-everyone',  name:'Met Everyone',      desc:'Get caught by every animatronic, Cassidy included', check:()=> LEVEL_KEYS.every(k=> saveData.stats.caughtBy[k] > 0) }
+];
+function checkAchievements(){
+  if(activePack) return;   // pack nights are prototypes, not the real thing
+  if(nightStats.debugged) return;   // infinite power, speed-ups, skips etc. make them meaningless
+  ACHIEVEMENTS.forEach(a=>{
+    if(saveData.achievements[a.id] || !a.check(nightStats)) return;
+    saveData.achievements[a.id] = new Date().toISOString();
+    showToast('Achievement unlocked: ' + a.name);
+  });
+}
+
+/* toasts run on real time (they stay up over menus, where the sim clock is stopped) */
+const TOAST_MS = 4000;
+const toasts = [];   // { el, until }
+let lastFrameTs = 0;
+function showToast(text){
+  const el = document.createElement('div');
+  el.className = 'toast';
+  el.textContent = text;
+  UI.toasts.appendChild(el);
+  toasts.push({ el, until: lastFrameTs + TOAST_MS });
+}
+function updateToasts(ts){
+  lastFrameTs = ts;
+  while(toasts.length && toasts[0].until <= ts) toasts.shift().el.remove();
+}
+
+function formatDuration(ms){
+  const s = Math.round(ms / 1000);
+  return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+}
+function showResults(){
+  setState(STATE.RESULTS);
+  const ns = nightStats;
+  const rows = [
+    ['Power used', Math.round(ns.powerUsed) + '%'],
+    ['Left door closed', formatDuration(ns.doorMs.left)],
+    ['Right door closed', formatDuration(ns.doorMs.right)],
+    ['Monitor up', formatDuration(ns.monitorMs)],
+    ['Cam switches', ns.camSwitches],
+    ['Near misses', ns.nearMisses]
+  ];
+  UI.resultsTitle.innerText = nightLabel() + ' — 6:00 AM';
+  UI.resultsStats.innerHTML = rows.map(r=> '<div class="statRow"><span>' + r[0] + '</span><span>' + r[1] + '</span></div>').join('');
+  UI.resultsOverlay.classList.remove('overlay-hidden');
+  announce(UI.resultsTitle.innerText + '. ' + rows.map(r=> r[0] + ' ' + r[1]).join(', '));
+  renderNavFocus();
+}
+document.getElementById('resultsOverlay').addEventListener('click', (ev)=>{
+  const tgt = ev.target.closest('.menuRow');
+  if(!tgt || gameState !== STATE.RESULTS) return;
+  if(tgt.dataset.option === 'exportReplay'){ exportReplay(); return; }
+  UI.resultsOverlay.classList.add('overlay-hidden');
+  if(tgt.dataset.option === 'next') nextAfterResults();
+  else showMenu();
+});
+
+/* gallery: lifetime stats, achievements, and the animatronics that have caught you */
+async function showGallery(){
+  UI.menuOverlay.classList.add('overlay-hidden');
+  UI.galleryOverlay.classList.remove('overlay-hidden');
+  const st = saveData.stats;
+  const rows = [
+    ['Nights survived', st.nightsWon + ' / ' + st.nightsPlayed],
+    ['Power used', Math.round(st.powerUsed) + '%'],
+    ['Doors closed', formatDuration(st.doorMs)],
+    ['Monitor up', formatDuration(st.monitorMs)],
+    ['Cam switches', st.camSwitches],
+    ['Near misses', st.nearMisses]
+  ];
+  UI.galleryStats.innerHTML = rows.map(r=> '<div class="statRow"><span>' + r[0] + '</span><span>' + r[1] + '</span></div>').join('');
+  UI.galleryAchievements.innerHTML = ACHIEVEMENTS.map(a=>{
+    const at = saveData.achievements[a.id];
+    return '<div class="achievement' + (at ? ' unlocked' : '') + '"><span class="achName">' + (at ? '★ ' : '☆ ') + a.name + '</span>' +
+      '<span class="achDesc">' + a.desc + (at ? ' — ' + at.slice(0, 10) : '') + '</span></div>';
+  }).join('');
+  // portraits only for those that have caught you; paths come from the asset manifest
+  if(!assetStatus.manifest.length) assetStatus.manifest = await loadManifest();
+  const pathOf = (key)=> (assetStatus.manifest.find(e=> e.key === key) || {}).path;
+  // built node by node: pack sprite paths must never reach innerHTML
+  UI.galleryPortraits.innerHTML = '';
+  LEVEL_KEYS.forEach(name=>{
+    const seen = saveData.stats.caughtBy[name] > 0;
+    const src = pathOf(name === 'cassidy' ? 'cassidy_shadow' : name + '_idle');
+    const el = document.createElement('div');
+    el.className = 'portrait';
+    if(seen && src){
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = '';
+      el.appendChild(img);
+    } else {
+      const locked = document.createElement('div');
+      locked.className = 'portraitLocked';
+      locked.textContent = '?';
+      el.appendChild(locked);
+    }
+    const label = document.createElement('span');
+    label.textContent = seen ? name.toUpperCase() : '???';
+    el.appendChild(label);
+    UI.galleryPortraits.appendChild(el);
+  });
+  renderNavFocus();
+}
+document.getElementById('galleryOverlay').addEventListener('click', (ev)=>{
+  const tgt = ev.target.closest('.menuRow');
+  if(!tgt || tgt.dataset.option !== 'back') return;
+  UI.galleryOverlay.classList.add('overlay-hidden');
+  showMenu();
+});
+
+/* ---------- replays ---------- */
+// a replay is the night's seed + every recorded action with its time since 12:00 AM;
+// playback re-simulates the night from the seed and feeds the actions back in
+const REPLAY_FORMAT = 'hollowcreek-replay';
+const REPLAY_VERSION = 1;
+const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+const UNRECORDED_ACTIONS = ['panLeft','panRight','pause','replaySpeed'];   // view-only
+let recording = null;        // night being recorded
+let lastReplay = null;       // last finished recording, for exportReplay()
+let replay = null;           // { data, levels, next, speed } while playing one back
+
+function startRecording(seed){
+  recording = {
+    format: REPLAY_FORMAT, version: REPLAY_VERSION, seed, mode: gameMode, night, pack: activePack ? activePack.id : null,
+    levels: Object.assign({}, currentLevels()), recordedAt: new Date().toISOString(), actions: []
+  };
+}
+function recordAction(action){
+  if(recording && !UNRECORDED_ACTIONS.includes(action)) recording.actions.push([clock.t - playStartedAt, action]);
+}
+function finishRecording(outcome){
+  if(replay){
+    const want = replay.data.result;
+    if(want && (want.outcome !== outcome || want.by !== jumpscareBy)) console.warn('Replay diverged from the recording:', want, { outcome, by:jumpscareBy });
+    replay.outcome = outcome;
     return;
   }
-  if(y > H * 0.80){
-    monitorOpen = !monitorOpen;
-    if(monitorOpen){ if(assets.audios.crt_open) try{ assets.audios.crt_open.currentTime=0, assets.audios.crt_open.play(); }catch(e){} }
-    else { if(assets.audios.crt_close) try{ assets.audios.crt_close.currentTime=0, assets.audios.crt_close.play(); }catch(e){} monitorSingle=null; }
-    return;
+  if(!recording) return;
+  recording.result = { outcome, by: jumpscareBy, t: clock.t - playStartedAt };
+  lastReplay = recording;
+  recording = null;
+}
+
+function exportReplay(){
+  if(!lastReplay) return false;
+  const blob = new Blob([JSON.stringify(lastReplay)], { type:'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'hollowcreek-night' + lastReplay.night + '-' + lastReplay.seed + '.json';
+  a.click();
+  URL.revokeObjectURL(a.href);
+  return true;
+}
+
+/* throws with a readable message when the file isn't a replay this build can play */
+function validateReplay(d){
+  if(!d || d.format !== REPLAY_FORMAT) throw new Error('not a replay file');
+  if(!(d.version <= REPLAY_VERSION)) throw new Error('made by a newer version');
+  if(!Number.isInteger(d.seed)) throw new Error('missing seed');
+  if(d.mode !== 'story' && d.mode !== 'custom') throw new Error('unknown mode');
+  if(!(d.night >= 1 && d.night <= MAX_NIGHT)) throw new Error('bad night');
+  if((d.pack || null) !== (activePack ? activePack.id : null)) throw new Error(d.pack ? 'needs content pack "' + d.pack + '"' : 'recorded without a content pack');
+  if(!Array.isArray(d.actions) || !d.actions.every(a=> Array.isArray(a) && Number.isFinite(a[0]) && GAME_ACTIONS.includes(a[1]))) throw new Error('bad action list');
+  return d;
+}
+
+function startReplay(data){
+  gameMode = data.mode;
+  night = data.night;
+  replay = { data, levels: sanitizeLevels(data.levels), next: 0, speed: 0 };
+  beginGamePlay();
+}
+/* feed every action recorded up to now (called before each fixed step) */
+function applyReplayActions(){
+  const actions = replay.data.actions;
+  while(replay.next < actions.length && actions[replay.next][0] <= clock.t - playStartedAt){
+    applyGameAction(actions[replay.next++][1]);
   }
-  if(monitorOpen){
-    for(const p of camPositions){
-      const rx = Math.floor(p.x), ry = Math.floor(p.y);
-      if(x >= rx && x <= rx + thumbW && y >= ry && y <= ry + thumbH){
-        monitorSingle = p.id;
-        if(assets.audios.cam_switch) try{ assets.audios.cam_switch.currentTime=0, assets.audios.cam_switch.play(); }catch(e){}
-        return;
-      }
+}
+function cycleReplaySpeed(){
+  replay.speed = (replay.speed + 1) % REPLAY_SPEEDS.length;
+  clock.scale = clock.baseScale * REPLAY_SPEEDS[replay.speed];
+}
+function endReplay(){
+  const matched = !replay.data.result || replay.data.result.outcome === replay.outcome;
+  showMenu();
+  UI.menuHint.innerText = matched ? 'Replay terminado' : 'Replay terminado — no coincide con la grabación (ver consola)';
+}
+
+UI.replayFile.addEventListener('change', async ()=>{
+  const file = UI.replayFile.files[0];
+  if(!file) return;
+  try{ startReplay(validateReplay(JSON.parse(await file.text()))); }
+  catch(e){ UI.menuHint.innerText = 'Replay inválido: ' + e.message; }
+});
+
+/* ---------- content packs (pack.js) ---------- */
+// the installed pack's JSON is kept in its own storage key and re-validated on every boot
+const PACK_STORAGE_KEY = 'hollowcreek.pack';
+const BUILTIN_CONTENT = { camKeyById, animDefs, aiContent, nights: NIGHT_LEVELS };
+let activePack = null;   // validatePack() result, null = built-in content
+
+function applyContent(pack){
+  // drop sprites / sounds the outgoing or incoming pack provides so preloadAll fetches the right ones
+  [activePack, pack].forEach(p=> p && p.assets.forEach(e=>{ delete assets.imgs[e.key]; delete assets.audios[e.key]; }));
+  activePack = pack;
+  camKeyById = pack ? Object.assign({}, BUILTIN_CONTENT.camKeyById, pack.cameras) : BUILTIN_CONTENT.camKeyById;
+  animDefs = pack ? pack.anims : BUILTIN_CONTENT.animDefs;
+  aiContent = pack ? { graph: pack.graph, rules: pack.rules } : BUILTIN_CONTENT.aiContent;
+  NIGHT_LEVELS = pack ? pack.nights : BUILTIN_CONTENT.nights;
+  LEVEL_KEYS = Object.keys(animDefs).concat('cassidy');
+  aiWorld = newAIWorld(newSeed());
+  anims = aiWorld.anims;
+  assetsReady = false;
+  renderPackRow();
+  renderDebugAnimButtons();
+}
+
+function installPack(text){
+  const pack = validatePack(JSON.parse(text), { graph: ROOM_GRAPH });
+  try { localStorage.setItem(PACK_STORAGE_KEY, text); }
+  catch(e){ console.warn('Pack not kept for next time (storage full?):', e.message); }
+  applyContent(pack);
+  return pack;
+}
+function uninstallPack(){
+  try { localStorage.removeItem(PACK_STORAGE_KEY); } catch(e){}
+  applyContent(null);
+}
+function loadInstalledPack(){
+  let text = null;
+  try { text = localStorage.getItem(PACK_STORAGE_KEY); } catch(e){}
+  if(!text) return;
+  try { applyContent(validatePack(JSON.parse(text), { graph: ROOM_GRAPH })); }
+  catch(e){
+    console.error('Installed content pack no longer loads, using built-in content:', e.problems || e.message);
+    uninstallPack();
+    UI.menuHint.innerText = 'Pack inválido, se quitó: ' + e.message;
+  }
+}
+function renderPackRow(){
+  UI.packText.innerText = activePack ? 'Content Pack: ' + activePack.name + ' (quitar)' : 'Content Pack…';
+}
+
+UI.packFile.addEventListener('change', async ()=>{
+  const file = UI.packFile.files[0];
+  if(!file) return;
+  try {
+    const pack = installPack(await file.text());
+    UI.menuHint.innerText = 'Pack cargado: ' + pack.name + ' (' + Object.keys(pack.anims).join(', ') + ')';
+  } catch(e){
+    if(e.problems) console.error('Content pack problems:\n' + e.problems.join('\n'));
+    UI.menuHint.innerText = 'Pack inválido: ' + e.message;
+  }
+});
+
+/* ---------- debug panel (?dev=1) ---------- */
+// never built without the flag; ` toggles it. The same controls are on window.debug for the console
+// any call below also flags the night as debugged (nightStats.debugged), so it earns no achievements
+const debugTweaks = { infinitePower:false, skippedNight:false };
+const debugPanel = { el:null, info:null, anims:null, visible:true, nextRefresh:0 };
+const DEBUG_REFRESH_MS = 200;
+
+function createDebugApi(){
+  return {
+    skipToNight(n){
+      gameMode = 'story';
+      night = clampInt(n, 1, MAX_NIGHT, 1);
+      debugTweaks.skippedNight = true;
+      if(gameState === STATE.PAUSED) resumeGame();
+      ['gameOverOverlay','resultsOverlay','galleryOverlay','customOverlay','settingsOverlay'].forEach(id=> document.getElementById(id).classList.add('overlay-hidden'));
+      beginGamePlay();
+    },
+    skipToHour(h){
+      if(gameState !== STATE.PLAYING) return;
+      nightStats.debugged = true;
+      playStartedAt = clock.t - clampInt(h, 0, WIN_HOUR, 0) * HOUR_MS;
+      updateNightClock(clock.t);
+    },
+    forceMove(name){
+      if(gameState !== STATE.PLAYING) return null;
+      nightStats.debugged = true;
+      const e = forceMove(aiWorld, name, clock.t, aiEnv());
+      if(e) handleAIEvent(e, clock.t);
+      return e;
+    },
+    freeze(name, on){
+      const a = anims[name];
+      nightStats.debugged = true;
+      if(a) a.frozen = on === undefined ? !a.frozen : !!on;
+      return a ? a.frozen : null;
+    },
+    infinitePower(on){
+      debugTweaks.infinitePower = on === undefined ? !debugTweaks.infinitePower : !!on;
+      nightStats.debugged = true;
+      if(debugTweaks.infinitePower){ power = 100; updateHud(); }
+      return debugTweaks.infinitePower;
+    },
+    timescale(x){
+      if(x > 0){ clock.scale = clock.baseScale = x; nightStats.debugged = true; }
+      return clock.scale;
+    },
+    state(){
+      return { gameState, night, hour, power, clock: clock.t - playStartedAt, anims: JSON.parse(JSON.stringify(anims)), cassidy: Object.assign({ camsDownUntil }, cassidy) };
     }
-    monitorSingle = null;
+  };
+}
+
+/* ms until the animatronic's next move roll (stalkers also wait to go unseen) */
+function msToNextRoll(a, now){
+  const r = aiWorld.rules[a.name];
+  let interval = r.opportunityMs;
+  if(r.behavior === 'rush' && aiWorld.graph[a.node].cam === null) interval *= r.rushFactor;
+  let wait = a.lastRoll + interval - now;
+  if(r.behavior === 'stalker') wait = Math.max(wait, a.lastSeen + r.unseenMs - now);
+  return Math.max(0, wait);
+}
+
+/* move / freeze rows follow the roster (rebuilt when a content pack is applied) */
+function renderDebugAnimButtons(){
+  if(!debugPanel.anims) return;
+  const names = Object.keys(animDefs);
+  debugPanel.anims.innerHTML =
+    '<div>move ' + names.map(n=> '<button data-dbg="move" data-arg="' + n + '">' + n + '</button>').join('') + '</div>' +
+    '<div>freeze ' + names.map(n=> '<button data-dbg="freeze" data-arg="' + n + '">' + n + '</button>').join('') + '</div>';
+}
+function buildDebugPanel(){
+  const api = window.debug = createDebugApi();
+  const el = debugPanel.el = document.createElement('div');
+  el.id = 'debugPanel';
+  el.innerHTML =
+    '<pre id="debugInfo"></pre>' +
+    '<div>night ' + [1,2,3,4,5,6,7].map(n=> '<button data-dbg="night" data-arg="' + n + '">' + n + '</button>').join('') + '</div>' +
+    '<div>hour ' + [1,2,3,4,5,6].map(h=> '<button data-dbg="hour" data-arg="' + h + '">' + h + '</button>').join('') + '</div>' +
+    '<div id="debugAnims"></div>' +
+    '<div><button data-dbg="power">infinite power</button> speed ' +
+      [0.5,1,4,16].map(x=> '<button data-dbg="speed" data-arg="' + x + '">' + x + 'x</button>').join('') + '</div>';
+  document.body.appendChild(el);
+  debugPanel.info = el.querySelector('#debugInfo');
+  debugPanel.anims = el.querySelector('#debugAnims');
+  renderDebugAnimButtons();
+  el.addEventListener('click', (ev)=>{
+    const b = ev.target.closest('button');
+    if(!b) return;
+    const arg = b.dataset.arg;
+    ({ night: ()=> api.skipToNight(Number(arg)), hour: ()=> api.skipToHour(Number(arg)), move: ()=> api.forceMove(arg),
+       freeze: ()=> api.freeze(arg), power: ()=> api.infinitePower(), speed: ()=> api.timescale(Number(arg)) })[b.dataset.dbg]();
+    b.blur();   // keep Space / Enter for the game
+    debugPanel.nextRefresh = 0;
+  });
+  window.addEventListener('keydown', (ev)=>{
+    if(ev.code !== 'Backquote') return;
+    debugPanel.visible = !debugPanel.visible;
+    el.classList.toggle('overlay-hidden', !debugPanel.visible);
+  });
+}
+
+function renderDebugPanel(ts){
+  if(!debugPanel.el || !debugPanel.visible || ts < debugPanel.nextRefresh) return;
+  debugPanel.nextRefresh = ts + DEBUG_REFRESH_MS;
+  const now = clock.t;
+  const fmt = (ms)=> (ms / 1000).toFixed(1) + 's';
+  const lines = [
+    gameState + '  ' + nightLabel() + '  ' + hourLabel() + '  x' + clock.scale + '  t=' + fmt(now - playStartedAt),
+    'power ' + power.toFixed(2) + '%  drain ' + powerDrainPerSec().toFixed(3) + '%/s  usage ' + powerUsage() + (debugTweaks.infinitePower ? '  [infinite]' : ''),
+    ''
+  ];
+  Object.values(anims).forEach(a=>{
+    lines.push(a.name.padEnd(6) + ' L' + String(a.level).padEnd(3) + (a.node + (a.cam ? ' (cam' + a.cam + ')' : '')).padEnd(14) +
+      (a.active ? 'next ' + fmt(msToNextRoll(a, now)).padEnd(7) : 'off         ') +
+      'seen ' + fmt(now - a.lastSeen).padEnd(7) + (a.inOffice ? ' IN OFFICE' : '') + (a.frozen ? ' FROZEN' : ''));
+  });
+  lines.push('');
+  lines.push('cassidy ' + (cassidyActive ? (cassidy.where === null ? 'next ' + fmt(Math.max(0, cassidy.next - now))
+    : 'at ' + cassidy.where + ' for ' + fmt(Math.max(0, cassidy.until - now)) + ' stare ' + fmt(cassidy.stare)) : 'off') +
+    (camsDown(now) ? '  cams down ' + fmt(camsDownUntil - now) : ''));
+  const disabled = Object.keys(camDisabledUntil).filter(c=> camDisabled(Number(c), now));
+  lines.push('disabled cams ' + (disabled.length ? disabled.join(',') : '-') + '  lure ' +
+    (aiWorld.lure && now < aiWorld.lure.until ? aiWorld.lure.node + ' ' + fmt(aiWorld.lure.until - now) : '-') + '  ready in ' + fmt(Math.max(0, lureReadyAt - now)));
+  debugPanel.info.textContent = lines.join('\n');
+}
+
+/* ---------- overlay navigation (menu actions) ---------- */
+const NAV_OVERLAYS = ['pauseOverlay','resultsOverlay','galleryOverlay','settingsOverlay','customOverlay','gameOverOverlay','menuOverlay'];
+let navOverlayId = null;
+
+function activeOverlay(){
+  for(const id of NAV_OVERLAYS){
+    const el = document.getElementById(id);
+    if(!el.classList.contains('overlay-hidden')) return el;
+  }
+  return null;
+}
+function navRows(overlay){
+  return Array.from(overlay.querySelectorAll('.menuRow, .levelRow, .presetRow, .bindRow'))
+    .filter(r=> !r.classList.contains('overlay-hidden') && !r.classList.contains('disabled'));
+}
+function renderNavFocus(){
+  const overlay = activeOverlay();
+  if(!overlay) return;
+  if(overlay.id !== navOverlayId){ navOverlayId = overlay.id; selectedMenu = 0; }
+  const rows = navRows(overlay);
+  selectedMenu = Math.max(0, Math.min(selectedMenu, rows.length - 1));
+  rows.forEach((r, i)=>{
+    r.classList.toggle('focused', i === selectedMenu);
+    if(i === selectedMenu) r.setAttribute('aria-current', 'true'); else r.removeAttribute('aria-current');
+  });
+  if(overlay === UI.menuOverlay) renderMenuCursor();
+}
+function navigateOverlay(action){
+  const overlay = activeOverlay();
+  if(!overlay) return;
+  if(overlay.id !== navOverlayId) renderNavFocus();
+  const rows = navRows(overlay);
+  const row = rows[selectedMenu];
+  if(action === 'menuUp' || action === 'menuDown'){
+    selectedMenu = (selectedMenu + (action === 'menuDown' ? 1 : -1) + rows.length) % rows.length;
+    renderNavFocus();
+    if(rows[selectedMenu]) announce(rows[selectedMenu].textContent.trim().replace(/\s+/g, ' '));
+  } else if(action === 'menuLeft' || action === 'menuRight'){
+    const btn = row && row.querySelector('[data-delta="' + (action === 'menuRight' ? 1 : -1) + '"]');
+    if(btn) btn.click();
+  } else if(action === 'menuConfirm'){
+    if(row) row.click();
+  } else if(action === 'menuBack'){
+    const back = overlay.querySelector('.menuRow[data-option="back"], .menuRow[data-option="resume"]');
+    if(back) back.click();
+  }
+}
+document.addEventListener('mouseover', (ev)=>{
+  const overlay = activeOverlay();
+  const row = overlay && ev.target.closest && ev.target.closest('.menuRow, .levelRow, .presetRow, .bindRow');
+  if(!row) return;
+  const i = navRows(overlay).indexOf(row);
+  if(i >= 0 && i !== selectedMenu){ selectedMenu = i; renderNavFocus(); }
+});
+
+/* ---------- settings (controls) ---------- */
+function showSettings(){
+  UI.menuOverlay.classList.add('overlay-hidden');
+  UI.settingsOverlay.classList.remove('overlay-hidden');
+  renderSettings();
+  renderNavFocus();
+  // the Subtitles row depends on calls.json, which is only fetched with the first call
+  if(!phoneConfig) loadPhoneConfig().then(()=>{
+    if(UI.settingsOverlay.classList.contains('overlay-hidden')) return;
+    renderSettings();
+    renderNavFocus();
+  });
+}
+function hideSettings(){
+  bindingCapture = null;
+  UI.settingsOverlay.classList.add('overlay-hidden');
+  showMenu();
+}
+const VOLUME_LABELS = { master:'Master', ambience:'Ambience', sfx:'Effects', voice:'Phone', jumpscare:'Jumpscares' };
+function renderVolumes(){
+  UI.volumeList.innerHTML = Object.keys(VOLUME_LABELS).map(name=>{
+    const pct = Math.round(volumeSetting(name) * 100);
+    return '<div class="levelRow volumeRow" data-volume="' + name + '">' +
+      '<span class="levelName">' + VOLUME_LABELS[name] + '</span>' +
+      '<button class="levelBtn" data-delta="-1">-</button>' +
+      '<input class="volumeSlider" type="range" min="0" max="100" step="5" value="' + pct + '" aria-label="' + VOLUME_LABELS[name] + ' volume">' +
+      '<button class="levelBtn" data-delta="1">+</button>' +
+      '<span class="levelValue">' + pct + '</span>' +
+    '</div>';
+  }).join('');
+}
+function renderSettings(){
+  renderVolumes();
+  UI.subtitlesHeading.classList.toggle('overlay-hidden', !phoneHasSubtitles());
+  UI.subtitlesRow.classList.toggle('overlay-hidden', !phoneHasSubtitles());
+  document.getElementById('subtitlesToggle').innerText = 'Subtitles: ' + (subtitlesEnabled() ? 'On' : 'Off');
+  document.getElementById('fullscreenToggle').innerText = 'Fullscreen: ' + (fullscreenElement() ? 'On' : 'Off');
+  const onOff = (name)=> a11y(name) ? 'On' : 'Off';
+  document.getElementById('photosensitiveToggle').innerText = 'Photosensitive mode: ' + onOff('photosensitive');
+  document.getElementById('jumpscareToggle').innerText = 'Jumpscares: ' + JUMPSCARE_LABELS[a11y('jumpscare')];
+  document.getElementById('captionsToggle').innerText = 'Sound captions: ' + onOff('captions');
+  document.getElementById('contrastToggle').innerText = 'High-contrast HUD: ' + onOff('highContrast');
+  UI.bindingList.innerHTML = GAME_ACTIONS.concat(MENU_ACTIONS).map(a=>{
+    const keys = bindingsFor('keys', a).map(keyLabel).join(' / ') || '—';
+    const pad = bindingsFor('pad', a).map(padLabel).join(' / ') || '—';
+    const waiting = bindingCapture === a;
+    return '<div class="bindRow' + (waiting ? ' capturing' : '') + '" data-action="' + a + '">' +
+      '<span class="bindName">' + ACTION_LABELS[a] + '</span>' +
+      '<span class="bindKeys">' + (waiting ? 'Pulsa una tecla o botón…' : keys + '  |  ' + pad) + '</span>' +
+    '</div>';
+  }).join('');
+}
+function finishCapture(device, input){
+  rebind(device, bindingCapture, input);
+  bindingCapture = null;
+  renderSettings();
+  renderNavFocus();
+}
+document.getElementById('settingsOverlay').addEventListener('click', (ev)=>{
+  const bind = ev.target.closest('.bindRow');
+  const row = ev.target.closest('.menuRow');
+  const volBtn = ev.target.closest('.volumeRow .levelBtn');
+  if(volBtn){
+    const name = volBtn.closest('.volumeRow').dataset.volume;
+    setVolume(name, Math.round((volumeSetting(name) + Number(volBtn.dataset.delta) * 0.1) * 100) / 100);
+    writeSave();
+    renderVolumes();
+    renderNavFocus();
+  } else if(bind){
+    bindingCapture = bind.dataset.action;
+    renderSettings();
+    renderNavFocus();
+  } else if(row && row.dataset.option === 'subtitles'){
+    saveData.settings.subtitles = !subtitlesEnabled();
+    writeSave();
+    renderSettings();
+  } else if(row && row.dataset.option === 'fullscreen'){
+    toggleFullscreen();
+  } else if(row && row.dataset.option === 'jumpscare'){
+    const i = JUMPSCARE_LEVELS.indexOf(a11y('jumpscare'));
+    setA11y('jumpscare', JUMPSCARE_LEVELS[(i + 1) % JUMPSCARE_LEVELS.length]);
+    renderSettings();
+    announce(document.getElementById('jumpscareToggle').innerText);
+  } else if(row && ['photosensitive','captions','highContrast'].includes(row.dataset.option)){
+    setA11y(row.dataset.option, !a11y(row.dataset.option));
+    renderSettings();
+    announce(row.textContent.trim());
+  } else if(row && row.dataset.option === 'resetBindings'){
+    resetBindings();
+    renderSettings();
+  } else if(row && row.dataset.option === 'back'){
+    hideSettings();
+  }
+});
+
+// dragging a slider: live volume, persisted when released
+document.getElementById('settingsOverlay').addEventListener('input', (ev)=>{
+  if(!ev.target.classList.contains('volumeSlider')) return;
+  const row = ev.target.closest('.volumeRow');
+  setVolume(row.dataset.volume, Number(ev.target.value) / 100);
+  row.querySelector('.levelValue').innerText = ev.target.value;
+});
+document.getElementById('settingsOverlay').addEventListener('change', (ev)=>{
+  if(ev.target.classList.contains('volumeSlider')) writeSave();
+});
+
+/* ---------- keyboard ---------- */
+window.addEventListener('keydown', (ev)=>{
+  if(!audioUnlocked) unlockAudio();
+  if(ev.repeat) return;
+  if(bindingCapture){
+    ev.preventDefault();
+    if(ev.code === 'Escape'){ bindingCapture = null; renderSettings(); renderNavFocus(); }
+    else finishCapture('keys', ev.code);
     return;
   }
-  // doors toggle
-  if(x < W*0.5){
-    doorLeftClosed = !doorLeftClosed;
-    if(doorLeftClosed){ if(assets.audios.door_close) try{ assets.audios.door_close.currentTime=0, assets.audios.door_close.play(); }catch(e){} }
-    else { if(assets.audios.door_open) try{ assets.audios.door_open.currentTime=0, assets.audios.door_open.play(); }catch(e){} }
+  const actions = actionsFor('keys', ev.code);
+  if(!actions.length) return;
+  ev.preventDefault();
+  actions.forEach(performAction);
+});
+window.addEventListener('keyup', (ev)=>{
+  GAME_ACTIONS.filter(a=> bindingsFor('keys', a).includes(ev.code)).forEach(releaseAction);
+});
+
+/* ---------- gamepad (polled from loop) ---------- */
+const PAD_STICK_DEADZONE = 0.6;
+const padPrev = {};
+function pollGamepads(){
+  if(!navigator.getGamepads) return;
+  for(const pad of navigator.getGamepads()){
+    if(!pad) continue;
+    const pressed = pad.buttons.map(b=> b.pressed);
+    // left stick doubles as the d-pad
+    if(pad.axes.length >= 2){
+      pressed[12] = pressed[12] || pad.axes[1] < -PAD_STICK_DEADZONE;
+      pressed[13] = pressed[13] || pad.axes[1] > PAD_STICK_DEADZONE;
+      pressed[14] = pressed[14] || pad.axes[0] < -PAD_STICK_DEADZONE;
+      pressed[15] = pressed[15] || pad.axes[0] > PAD_STICK_DEADZONE;
+    }
+    const prev = padPrev[pad.index] || [];
+    pressed.forEach((down, btn)=>{
+      if(!down && prev[btn]) GAME_ACTIONS.filter(a=> bindingsFor('pad', a).includes(btn)).forEach(releaseAction);
+      if(!down || prev[btn]) return;
+      if(!audioUnlocked) unlockAudio();
+      if(bindingCapture) finishCapture('pad', btn);
+      else actionsFor('pad', btn).forEach(performAction);
+    });
+    padPrev[pad.index] = pressed;
+  }
+}
+
+/* ---------- touch / pointer ---------- */
+function getCanvasCoords(clientX, clientY){
+  const rect = CANVAS.getBoundingClientRect();
+  const scaleX = W / rect.width;
+  const scaleY = H / rect.height;
+  return { x: Math.floor((clientX - rect.left) * scaleX), y: Math.floor((clientY - rect.top) * scaleY) };
+}
+
+/* tappable regions for the current view, in screen px; first match wins */
+function hitRegions(){
+  const regions = [];
+  if(callActive()) regions.push(Object.assign({ action:'muteCall' }, MUTE_BTN));
+  if(monitorOpen && monitorSingle === null){
+    camPositions.forEach(p=> regions.push({ action:'cam' + p.id, x:Math.floor(p.x), y:Math.floor(p.y), w:thumbW, h:thumbH }));
+  } else if(monitorOpen){
+    mapCamButtons().forEach(b=> regions.push(Object.assign({ action:'cam' + b.cam }, b.rect)));
+    regions.push(Object.assign({ action:'lure' }, singleCamLayout().lure));
   } else {
-    doorRightClosed = !doorRightClosed;
-    if(doorRightClosed){ if(assets.audios.door_close) try{ assets.audios.door_close.currentTime=0, assets.audios.door_close.play(); }catch(e){} }
-    else { if(assets.audios.d
+    OFFICE_LAYOUT.buttons.forEach(b=> regions.push(Object.assign({ action:b.action }, officeRect(b))));
+  }
+  regions.push({ action:'toggleMonitor', x:MONITOR_BAR.x * W, y:MONITOR_BAR.y * H, w:MONITOR_BAR.w * W, h:MONITOR_BAR.h * H });
+  return regions;
+}
+
+function handleTap(x,y){
+  if(!audioUnlocked) unlockAudio(); // allow audio on first touch
+  if(gameState === STATE.MENU){
+    // tap re-opens menu DOM if it was dismissed; menu DOM handles option clicks
+    if(!activeOverlay()) showMenu();
+    return;
+  }
+  if(gameState !== STATE.PLAYING) return;
+  if(replay){ performAction('replaySpeed'); return; }
+  const hit = hitRegions().find(r=> x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h);
+  if(hit) performAction(hit.action);
+  else if(monitorOpen) performAction('camGrid');
+}
+
+/* mouse near a screen edge pans the office; touch pans while dragging */
+function updatePanPointer(x){
+  panPointer = x < W * PAN_EDGE ? -1 : (x > W * (1 - PAN_EDGE) ? 1 : 0);
+}
+
+CANVAS.addEventListener('pointerdown', (ev)=>{
+  ev.preventDefault();
+  const p = getCanvasCoords(ev.clientX, ev.clientY);
+  handleTap(p.x, p.y);
+});
+CANVAS.addEventListener('pointermove', (ev)=>{
+  if(ev.pointerType === 'touch' && !ev.buttons) return;
+  updatePanPointer(getCanvasCoords(ev.clientX, ev.clientY).x);
+});
+['pointerup','pointerleave','pointercancel'].forEach(t=> CANVAS.addEventListener(t, (ev)=>{
+  if(t !== 'pointerup' || ev.pointerType === 'touch') panPointer = 0;
+}));
+UI.startOverlay.addEventListener('click', ()=>{ unlockAudio(); showMenu(); });
+
+/* ---------- display: resize, DPR, fullscreen ---------- */
+// fit the canvas inside #wrap's safe-area padding; the backing store follows devicePixelRatio
+function resizeCanvas(){
+  const cs = window.getComputedStyle(WRAP);
+  const availW = Math.max(1, WRAP.clientWidth - parseFloat(cs.paddingLeft || 0) - parseFloat(cs.paddingRight || 0));
+  const availH = Math.max(1, WRAP.clientHeight - parseFloat(cs.paddingTop || 0) - parseFloat(cs.paddingBottom || 0));
+  W = Math.round(BASE_SIZE * Math.min(MAX_ASPECT, Math.max(1, availW / availH)));
+  H = BASE_SIZE;
+  const cssScale = Math.min(availW / W, availH / H);
+  const dpr = Math.min(MAX_DPR, window.devicePixelRatio || 1);
+  CANVAS.style.width = Math.floor(W * cssScale) + 'px';
+  CANVAS.style.height = Math.floor(H * cssScale) + 'px';
+  CANVAS.width = Math.round(Math.floor(W * cssScale) * dpr);
+  CANVAS.height = Math.round(Math.floor(H * cssScale) * dpr);
+  // resizing the backing store resets the context
+  renderScale = CANVAS.width / W;
+  ctx.setTransform(renderScale, 0, 0, renderScale, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  layoutCams();
+  MUTE_BTN.x = W - 196;
+  syncDomScale(cssScale);
+}
+
+/* HUD + overlays are DOM: pin them to the canvas box and scale their text with it */
+function syncDomScale(cssScale){
+  const r = CANVAS.getBoundingClientRect();
+  const s = document.documentElement.style;
+  s.setProperty('--game-left', Math.round(r.left) + 'px');
+  s.setProperty('--game-top', Math.round(r.top) + 'px');
+  s.setProperty('--game-width', Math.round(r.width) + 'px');
+  s.setProperty('--game-height', Math.round(r.height) + 'px');
+  s.setProperty('--ui-scale', Math.min(1.5, Math.max(0.7, cssScale * H / 768)).toFixed(3));
+}
+
+function fullscreenElement(){ return document.fullscreenElement || document.webkitFullscreenElement || null; }
+function toggleFullscreen(){
+  const root = document.documentElement;
+  try {
+    if(fullscreenElement()){ (document.exitFullscreen || document.webkitExitFullscreen).call(document); return; }
+    const request = root.requestFullscreen || root.webkitRequestFullscreen;
+    if(!request) return;
+    const p = request.call(root, { navigationUI:'hide' });
+    // immersive on phones: hold landscape while fullscreen (browsers without orientation lock just reject)
+    if(p && p.then) p.then(()=> screen.orientation && screen.orientation.lock && screen.orientation.lock('landscape')).catch(()=>{});
+  } catch(e){ console.warn('fullscreen unavailable', e); }
+}
+
+['resize','orientationchange'].forEach(t=> window.addEventListener(t, resizeCanvas));
+if(window.visualViewport) window.visualViewport.addEventListener('resize', resizeCanvas);
+['fullscreenchange','webkitfullscreenchange'].forEach(t=> document.addEventListener(t, ()=>{
+  resizeCanvas();
+  if(!UI.settingsOverlay.classList.contains('overlay-hidden')) renderSettings();
+}));
+
+/* ---------- boot ---------- */
+resizeCanvas();
+if(DEV_MODE) buildDebugPanel();
+loadSave();
+applyA11y();
+loadInstalledPack();
+showMenu();
+requestAnimationFrame(loop);
@@ -0,0 +1,193 @@
+/* pack.js - Hollow Creek content packs
+   - One JSON file swaps the roster: animatronics, cameras (room graph) and night tables
+   - validatePack() checks a pack against what the engine can run and returns the content game.js uses
+   - No DOM access (like ai.js): every problem is collected with its path in the file, then thrown at once
+*/
+
+/* ---------- format ----------
+{
+  "format": "hollowcreek-pack", "version": 1,
+  "id": "my-pack",                      // a-z 0-9 _ -; replays remember it
+  "name": "My Pack",
+  "rooms": {                            // optional: the built-in building when left out
+    "cam1":  { "cam":1, "links":["hallL"], "image":"assets/cams/cam1_salon_base.jpg", "map":{ "x":0.4, "y":0, "w":0.2, "h":0.2 } },
+    "hallL": { "cam":null, "side":"left", "links":["cam1","doorL"] },
+    "doorL": { "cam":null, "side":"left", "door":"left", "links":["hallL"] }
+  },
+  "animatronics": {
+    "moth": {
+      "color": "#a0a",                  // placeholder when a sprite is missing
+      "sprites": { "idle":"...png", "walk":"...", "watch":"...", "jumpscare":"..." },
+      "sound": "...mp3",                // jumpscare sound
+      "rooms": ["cam1","hallL","doorL"], "start":"cam1", "door":"doorL", "retreat":"cam1",
+      "behavior": "roam",               // roam | rush | stalker (see AI_RULES in ai.js)
+      "activeFrom": 2                   // story night it first shows up
+    }
+  },
+  "nights": [ { "moth":3, "cassidy":0 }, ... ]   // AI levels 0-20, one entry per night (1-7)
+}
+   paths are from the game root, or http(s) / data: URLs */
+const PACK_FORMAT = 'hollowcreek-pack';
+const PACK_VERSION = 1;
+const PACK_CAM_IDS = [1, 2, 3, 4, 5, 6];   // monitor grid slots; CAM 7 is always the office
+const PACK_BEHAVIORS = ['roam', 'rush', 'stalker'];
+const PACK_SPRITE_STATES = ['idle', 'walk', 'watch', 'jumpscare'];
+const PACK_HAZARDS = ['cassidy'];          // engine-side, only a level in the night tables
+const PACK_MAX_ANIMATRONICS = 8;
+const PACK_MAX_NIGHTS = 7;
+const PACK_MAX_LEVEL = 20;
+const PACK_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const PACK_NAME_RE = /^[a-z][a-z0-9_]{0,15}$/;
+// whole-string match: base64 data URI, http(s) URL without quotes/brackets/whitespace, or a plain relative path
+const PACK_PATH_RE = /^(?:data:(?:image|audio)\/[\w.+-]+;base64,[A-Za-z0-9+\/=]+|https?:\/\/[^\s"'<>`\\]+|\w[\w ./-]*)$/;
+
+function isPackObject(v){ return v !== null && typeof v === 'object' && !Array.isArray(v); }
+function inRange(v, lo, hi){ return typeof v === 'number' && Number.isFinite(v) && v >= lo && v <= hi; }
+
+/* nodes reachable from `from` walking only through `rooms` */
+function packReachable(graph, rooms, from){
+  const seen = new Set([from]);
+  const queue = [from];
+  while(queue.length){
+    const n = queue.shift();
+    for(const m of graph[n].links){
+      if(rooms.includes(m) && !seen.has(m)){ seen.add(m); queue.push(m); }
+    }
+  }
+  return seen;
+}
+
+function validateRooms(rooms, err){
+  const graph = {};
+  const camsSeen = {};
+  Object.keys(rooms).forEach(node=>{
+    const r = rooms[node], at = 'rooms.' + node;
+    if(!isPackObject(r)){ err(at, 'must be an object'); return; }
+    if(r.cam !== null && r.cam !== undefined && !PACK_CAM_IDS.includes(r.cam)) err(at + '.cam', 'must be null or one of ' + PACK_CAM_IDS.join(', '));
+    else if(r.cam){
+      if(camsSeen[r.cam]) err(at + '.cam', 'CAM ' + r.cam + ' is already used by ' + camsSeen[r.cam]);
+      camsSeen[r.cam] = node;
+    }
+    if(r.side !== undefined && r.side !== 'left' && r.side !== 'right') err(at + '.side', 'must be "left" or "right"');
+    if(r.door !== undefined && r.door !== 'left' && r.door !== 'right') err(at + '.door', 'must be "left" or "right"');
+    if(!Array.isArray(r.links) || !r.links.length) err(at + '.links', 'must list at least one room');
+    else r.links.filter(l=> !rooms[l]).forEach(l=> err(at + '.links', '"' + l + '" is not a room'));
+    if(r.image !== undefined && !(r.cam && typeof r.image === 'string' && PACK_PATH_RE.test(r.image))) err(at + '.image', 'must be a path, and only on a room with a cam');
+    if(r.map !== undefined && !(isPackObject(r.map) && ['x','y','w','h'].every(k=> inRange(r.map[k], 0, 1)))) err(at + '.map', 'must be { x, y, w, h } fractions of the map panel');
+    graph[node] = { cam: r.cam || null, links: Array.isArray(r.links) ? r.links.slice() : [] };
+    ['side', 'door', 'map'].forEach(k=>{ if(r[k] !== undefined) graph[node][k] = r[k]; });
+  });
+  if(!Object.values(graph).some(n=> n.door)) err('rooms', 'needs at least one door room ("door": "left" | "right")');
+  return graph;
+}
+
+function validateAnimatronic(name, a, graph, err){
+  const at = 'animatronics.' + name;
+  if(!PACK_NAME_RE.test(name) || PACK_HAZARDS.includes(name)) err(at, 'name must be a-z 0-9 _ (max 16) and not ' + PACK_HAZARDS.join(', '));
+  if(!isPackObject(a)){ err(at, 'must be an object'); return null; }
+  const rooms = Array.isArray(a.rooms) ? a.rooms : [];
+  if(!rooms.length) err(at + '.rooms', 'must list the rooms it may stand in');
+  rooms.filter(n=> !graph[n]).forEach(n=> err(at + '.rooms', '"' + n + '" is not a room'));
+  const known = rooms.filter(n=> graph[n]);
+  if(!known.includes(a.start)) err(at + '.start', 'must be one of its rooms');
+  if(!known.includes(a.door) || !graph[a.door].door) err(at + '.door', 'must be one of its rooms with a door');
+  if(a.retreat !== undefined && !known.includes(a.retreat)) err(at + '.retreat', 'must be one of its rooms');
+  if(known.includes(a.start) && known.includes(a.door) && !packReachable(graph, known, a.start).has(a.door)) err(at + '.rooms', 'no path from ' + a.start + ' to ' + a.door);
+  const behavior = a.behavior === undefined ? 'roam' : a.behavior;
+  if(!PACK_BEHAVIORS.includes(behavior)) err(at + '.behavior', 'must be one of ' + PACK_BEHAVIORS.join(', '));
+  const num = (k, lo, hi, def)=>{
+    if(a[k] === undefined) return def;
+    if(!inRange(a[k], lo, hi)) err(at + '.' + k, 'must be a number from ' + lo + ' to ' + hi);
+    return a[k];
+  };
+  const rule = {
+    start: a.start, rooms: known, door: a.door, retreat: a.retreat === undefined ? a.start : a.retreat, behavior,
+    approach: num('approach', 0, 1, 0.6),
+    opportunityMs: num('opportunityMs', 500, 60000, 5000)
+  };
+  if(behavior === 'rush') rule.rushFactor = num('rushFactor', 0.05, 1, 0.5);
+  if(behavior === 'stalker') rule.unseenMs = num('unseenMs', 1000, 120000, 15000);
+  if(a.lure !== undefined) rule.lure = num('lure', 0, 1, 0);
+  if(a.disrupt !== undefined){
+    const d = a.disrupt;
+    if(!isPackObject(d) || !inRange(d.chance, 0, 1) || !Array.isArray(d.ms) || d.ms.length !== 2 || !d.ms.every(ms=> inRange(ms, 0, 60000)) || d.ms[0] > d.ms[1]) err(at + '.disrupt', 'must be { chance: 0-1, ms: [min, max] }');
+    else rule.disrupt = { chance: d.chance, ms: d.ms.slice() };
+  }
+  if(a.color !== undefined && !(typeof a.color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(a.color))) err(at + '.color', 'must be #rgb or #rrggbb');
+  const activeFrom = a.activeFrom === undefined ? 1 : a.activeFrom;
+  if(!Number.isInteger(activeFrom) || activeFrom < 1 || activeFrom > PACK_MAX_NIGHTS) err(at + '.activeFrom', 'must be a night from 1 to ' + PACK_MAX_NIGHTS);
+  const assets = [];
+  if(a.sprites !== undefined){
+    if(!isPackObject(a.sprites)) err(at + '.sprites', 'must be an object');
+    else Object.keys(a.sprites).forEach(state=>{
+      if(!PACK_SPRITE_STATES.includes(state)) err(at + '.sprites.' + state, 'unknown state (use ' + PACK_SPRITE_STATES.join(', ') + ')');
+      else if(typeof a.sprites[state] !== 'string' || !PACK_PATH_RE.test(a.sprites[state])) err(at + '.sprites.' + state, 'must be a path');
+      else assets.push({ key: name + '_' + state, path: a.sprites[state], type:'image' });
+    });
+  }
+  if(a.sound !== undefined){
+    if(typeof a.sound !== 'string' || !PACK_PATH_RE.test(a.sound)) err(at + '.sound', 'must be a path');
+    else assets.push({ key: 'jumpscare_' + name, path: a.sound, type:'audio' });
+  }
+  return { rule, def: { color: a.color || '#cccccc', activeFrom }, assets };
+}
+
+/* base: { graph } used when the pack has no rooms of its own.
+   returns { id, name, graph, rules, anims, cameras, nights, assets } or throws an Error whose
+   .problems lists every "path: message" */
+function validatePack(data, base){
+  const problems = [];
+  const err = (path, msg)=> problems.push(path + ': ' + msg);
+  const fail = ()=>{
+    const e = new Error(problems.length === 1 ? problems[0] : problems.length + ' problems — ' + problems.slice(0, 3).join('; ') + (problems.length > 3 ? '; …' : ''));
+    e.problems = problems;
+    return e;
+  };
+  if(!isPackObject(data) || data.format !== PACK_FORMAT){ err('format', 'not a "' + PACK_FORMAT + '" file'); throw fail(); }
+  if(!(data.version >= 1 && data.version <= PACK_VERSION)) err('version', 'this build reads version ' + PACK_VERSION);
+  if(typeof data.id !== 'string' || !PACK_ID_RE.test(data.id)) err('id', 'must be a-z 0-9 _ - (max 32)');
+  if(typeof data.name !== 'string' || !data.name.trim() || data.name.length > 40) err('name', 'must be 1-40 characters');
+
+  let graph = base.graph;
+  if(data.rooms !== undefined){
+    if(!isPackObject(data.rooms) || !Object.keys(data.rooms).length) err('rooms', 'must be an object of rooms');
+    else graph = validateRooms(data.rooms, err);
+  }
+
+  const rules = {}, anims = {}, assets = [];
+  const names = isPackObject(data.animatronics) ? Object.keys(data.animatronics) : [];
+  if(!names.length || names.length > PACK_MAX_ANIMATRONICS) err('animatronics', 'must define 1-' + PACK_MAX_ANIMATRONICS + ' animatronics');
+  names.forEach(name=>{
+    const v = validateAnimatronic(name, data.animatronics[name], graph, err);
+    if(!v) return;
+    rules[name] = v.rule; anims[name] = v.def;
+    assets.push.apply(assets, v.assets);
+  });
+
+  const nights = {};
+  if(!Array.isArray(data.nights) || !data.nights.length || data.nights.length > PACK_MAX_NIGHTS) err('nights', 'must list 1-' + PACK_MAX_NIGHTS + ' nights');
+  else data.nights.forEach((levels, i)=>{
+    const at = 'nights[' + i + ']';
+    if(!isPackObject(levels)){ err(at, 'must be an object of AI levels'); return; }
+    nights[i + 1] = {};
+    Object.keys(levels).forEach(k=>{
+      if(!names.includes(k) && !PACK_HAZARDS.includes(k)) err(at + '.' + k, 'not an animatronic in this pack');
+      else if(!Number.isInteger(levels[k]) || levels[k] < 0 || levels[k] > PACK_MAX_LEVEL) err(at + '.' + k, 'must be a level from 0 to ' + PACK_MAX_LEVEL);
+      else nights[i + 1][k] = levels[k];
+    });
+  });
+
+  // cameras with their own feed image
+  const cameras = {};
+  Object.keys(graph).forEach(node=>{
+    const r = data.rooms && data.rooms[node];
+    if(r && r.cam && r.image){ cameras[r.cam] = 'pack_cam' + r.cam; assets.push({ key: 'pack_cam' + r.cam, path: r.image, type:'image' }); }
+  });
+
+  if(problems.length) throw fail();
+  return { id: data.id, name: data.name.trim(), graph, rules, anims, cameras, nights, assets };
+}
+
+if(typeof module !== 'undefined' && module.exports){
+  module.exports = { PACK_FORMAT, PACK_VERSION, validatePack };
+}